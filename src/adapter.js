@@ -11,18 +11,122 @@ const {
   APIHandler,
   APIResponse,
   Device,
+  Event,
   Property,
 } = require('gateway-addon');
 
+const crypto = require('crypto');
+
+const { addToConfig, removeAccountFromConfig } = require('./config');
+const HeatingStatistics = require('./heating-statistics');
 const Netatmo = require('./netatmo');
+const PollSchedule = require('./poll-schedule');
+const TemperatureScale = require('./temperature');
+const WriteQueue = require('./write-queue');
+const { NetatmoRateLimitError } = require('./errors');
+const SimulatedNetatmo = require('./simulation');
 
 const AVAILABLE_TYPES = [
   'NRV',
   'NAC',
+  'NATherm1',
+  'NAPlug',
 ];
+const RELAY_TYPE = 'NAPlug';
+const COOLING_TYPE = 'NAC';
 const DEVICE_PREFIX = 'thermostat-room-';
+const RELAY_PREFIX = 'relay-';
+const MODULE_PREFIX = 'module-';
+const HOME_PREFIX = 'thermostat-home-';
+const FROST_PROTECTION_TEMPERATURE = 7;
+const MAX_FROST_PROTECTION_TEMPERATURE = 15;
+const DEFAULT_BOOST_DURATION = 30;
+const DEFAULT_FROST_PROTECTION_DURATION = 24 * 60;
+// Changes of a room within this time are sent to Netatmo together, only the last value
+// of each property.
+const WRITE_DELAY = 1000;
+const OVERRIDE_MODES = [
+  'manual',
+  'max',
+];
+const LOW_BATTERY_STATES = [
+  'low',
+  'very_low',
+];
+const BATTERY_STATES = [
+  'full',
+  'high',
+  'medium',
+  'low',
+  'very_low',
+];
+const HOME_MODES = [
+  'schedule',
+  'away',
+  'hg',
+];
 
 const CALLBACK_SUCCEEDED = 'CALLBACK_SUCCEEDED';
+const SCOPES = ['read_thermostat', 'write_thermostat'];
+const AUTHORIZATION_TIMEOUT = 10 * 60 * 1000;
+
+const SCHEDULES_ROUTE = /^\/homes\/([^/]+)\/schedules(?:\/([^/]+))?(\/select)?$/;
+const WEBHOOK_REFRESH_DELAY = 2000;
+const WEBHOOK_ACTIVATION_TIMEOUT = 60 * 1000;
+const DEFAULT_POLL_INTERVAL = 5;
+const DEFAULT_TOPOLOGY_INTERVAL = 30;
+const STATE_SAVE_INTERVAL = 15 * 60 * 1000;
+
+const ACCOUNT_ROUTES = [
+  '/authorize',
+  '/authorize/code',
+  '/disconnect',
+  '/refresh',
+  '/remove',
+];
+
+// Settings left out of the diagnostics, as they are secret or stored separately.
+const SECRET_SETTINGS = [
+  'authorization_code',
+  'client_id',
+  'client_secret',
+  'refresh_token',
+  'token',
+];
+const CACHED_SETTINGS = [
+  'heating_statistics',
+  'state_cache',
+];
+// Fields of Netatmo homes that tell where they are, left out of anonymized diagnostics.
+const LOCATION_FIELDS = [
+  'altitude',
+  'city',
+  'coordinates',
+  'country',
+  'place',
+  'timezone',
+];
+
+const MEASURES_ROUTE = /^\/homes\/([^/]+)\/rooms\/([^/]+)\/measures$/;
+
+const MEASURE_SCALES = [
+  '30min',
+  '1hour',
+  '3hours',
+  '1day',
+  '1week',
+  '1month',
+];
+const MEASURE_TYPES = [
+  'temperature',
+  'min_temp',
+  'max_temp',
+  'date_min_temp',
+  'date_max_temp',
+  'sp_temperature',
+  'sum_boiler_on',
+  'sum_boiler_off',
+];
 
 class ThermostatProperty extends Property {
   constructor(device, name, propertyDescription) {
@@ -44,6 +148,18 @@ class TargetTemperatureProperty extends Property {
   }
 }
 
+class CoolingTemperatureProperty extends Property {
+  constructor(device, name, propertyDescription) {
+    super(device, name, propertyDescription);
+    this.setCachedValue(propertyDescription.value);
+    this.device.notifyPropertyChanged(this);
+  }
+
+  setValue(value) {
+    return this.device.setRoomCoolingPoint(value);
+  }
+}
+
 class ThermostatModeProperty extends Property {
   constructor(device, name, propertyDescription) {
     super(device, name, propertyDescription);
@@ -56,9 +172,74 @@ class ThermostatModeProperty extends Property {
   }
 }
 
-class RoomDevice extends Device {
+class HomeModeProperty extends Property {
+  constructor(device, name, propertyDescription) {
+    super(device, name, propertyDescription);
+    this.setCachedValue(propertyDescription.value);
+    this.device.notifyPropertyChanged(this);
+  }
+
+  async setValue(value) {
+    await this.device.setHomeMode(value);
+    this.setCachedValueAndNotify(value);
+    return this.value;
+  }
+}
+
+class ScheduleProperty extends Property {
+  constructor(device, name, propertyDescription) {
+    super(device, name, propertyDescription);
+    this.setCachedValue(propertyDescription.value);
+    this.device.notifyPropertyChanged(this);
+  }
+
+  async setValue(value) {
+    await this.device.switchSchedule(value);
+    this.setCachedValueAndNotify(value);
+    return this.value;
+  }
+}
+
+class NetatmoDevice extends Device {
+  // Returns the previous value, so callers can react to transitions.
+  updateProperty(propertyName, value) {
+    const property = this.findProperty(propertyName);
+    const previousValue = property.value;
+    if (property.value != value) {
+      property.setCachedValue(value);
+      this.notifyPropertyChanged(property);
+    }
+    return previousValue;
+  }
+
+  emitEvent(name, data) {
+    this.eventNotify(new Event(this, name, data));
+  }
+
+  setConnected(connected) {
+    if (this.connected !== connected) {
+      this.connected = connected;
+      this.connectedNotify(connected);
+    }
+  }
+
+  updateStatistics(summary) {
+    this.updateProperty('heatingMinutesToday', summary.heatingMinutesToday);
+    this.updateProperty('heatingMinutesYesterday', summary.heatingMinutesYesterday);
+    this.updateProperty('averageDemandWeek', summary.averageDemandWeek);
+  }
+}
+
+class RoomDevice extends NetatmoDevice {
   constructor(adapter, id, deviceDescription) {
     super(adapter, id);
+    this.frostGuardTemperature = deviceDescription.frostGuardTemperature;
+    this.writes = new WriteQueue({
+      delay: WRITE_DELAY,
+      getValue: (propertyName) => this.findProperty(propertyName).value,
+      setValue: (propertyName, value) => this.updateProperty(propertyName, value),
+      onChange: () => this.updateProperty('pendingChange', this.writes.pending),
+    });
     this.title = deviceDescription.title;
     this.type = deviceDescription.type;
     this['@type'] = deviceDescription['@type'];
@@ -75,18 +256,416 @@ class RoomDevice extends Device {
 
       this.properties.set(propertyName, property);
     }
+
+    const scale = adapter.temperatureScale;
+    const { minimum, maximum } = deviceDescription.properties.targetTemperature;
+    // The room limits are for comfort, frost protection may go below them.
+    this.frostLimits = scale.getLimits(undefined, scale.toDisplay(MAX_FROST_PROTECTION_TEMPERATURE));
+    const frostLimits = this.frostLimits;
+
+    this.addAction('boost', {
+      title: 'Boost',
+      description: 'Heat at full power or to the given temperature for a while',
+      input: {
+        type: 'object',
+        properties: {
+          duration: {
+            title: 'Duration (minutes)',
+            type: 'integer',
+            minimum: 5,
+            maximum: 720,
+            default: DEFAULT_BOOST_DURATION,
+          },
+          temperature: {
+            title: `Temperature (${scale.symbol})`,
+            type: 'number',
+            minimum,
+            maximum,
+          },
+        },
+      },
+    });
+    this.addAction('frostProtect', {
+      title: 'Frost Protect Room',
+      description: 'Only keep the room from freezing for a while',
+      input: {
+        type: 'object',
+        properties: {
+          duration: {
+            title: 'Duration (minutes)',
+            type: 'integer',
+            minimum: 5,
+            maximum: 7 * 24 * 60,
+            default: DEFAULT_FROST_PROTECTION_DURATION,
+          },
+          temperature: {
+            title: `Temperature (${scale.symbol})`,
+            type: 'number',
+            minimum: frostLimits.minimum,
+            maximum: frostLimits.maximum,
+            default: clamp(scale.toDisplay(this.frostGuardTemperature), frostLimits.maximum, frostLimits.minimum),
+          },
+        },
+      },
+    });
+    this.addAction('resumeSchedule', {
+      title: 'Resume Schedule',
+      description: 'End any manual override and follow the schedule again',
+    });
+
+    this.addEvent('windowOpened', {
+      title: 'Window opened',
+      description: 'An open window was detected and heating paused',
+    });
+    this.addEvent('windowClosed', {
+      title: 'Window closed',
+      description: 'The window is closed again and heating resumed',
+    });
+    this.addEvent('setpointOverridden', {
+      title: 'Setpoint overridden',
+      description: 'The schedule was overridden with a manual setpoint',
+      type: 'number',
+      unit: scale.unit,
+    });
+  }
+
+  updateSetpoint(room) {
+    const mode = room.therm_setpoint_mode;
+    const previousMode = this.updateProperty('setpointMode', mode);
+    this.updateStatusProperty('mode', mapRoomToThermostatMode(room, this.cooling));
+    this.updateProperty('setpointEndTime', formatTimestamp(room.therm_setpoint_end_time));
+
+    if (previousMode !== undefined && !OVERRIDE_MODES.includes(previousMode) && OVERRIDE_MODES.includes(mode)) {
+      this.emitEvent('setpointOverridden', this.adapter.temperatureScale.toDisplay(room.therm_setpoint_temperature));
+    }
+  }
+
+  updateOpenWindow(openWindow) {
+    const wasOpen = this.updateProperty('openWindow', openWindow);
+    if (wasOpen !== undefined && wasOpen !== openWindow) {
+      this.emitEvent(openWindow ? 'windowOpened' : 'windowClosed');
+    }
   }
 
   getIds() {
-    const withoutPrefix = this.id.replace(DEVICE_PREFIX, '');
+    // Devices of additional accounts have the account prefix in front.
+    const withoutPrefix = this.id.slice(this.id.indexOf(DEVICE_PREFIX) + DEVICE_PREFIX.length);
     const ids = withoutPrefix.split('-');
     return ids;
   }
 
-  addModule(module) {
-    const newProperties = {
+  // Adds or removes the battery property, depending on whether any of the modules in
+  // the room runs on batteries. Returns whether the properties changed.
+  setModules(modules) {
+    const batteryChanged = this.setBattery(modules.some((module) => hasBattery(module.type)));
+    const coolingChanged = this.setCooling(modules.some((module) => module.type === COOLING_TYPE));
+    return batteryChanged || coolingChanged;
+  }
+
+  setBattery(hasBatteries) {
+    if (hasBatteries === this.properties.has('battery')) {
+      return false;
+    }
+
+    if (hasBatteries) {
+      const property = new ThermostatProperty(this, 'battery', {
+        '@type': 'LevelProperty',
+        title: 'Lowest Battery',
+        type: 'integer',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+        multipleOf: 1,
+        readOnly: true,
+      });
+      this.properties.set('battery', property);
+    } else {
+      this.properties.delete('battery');
+    }
+
+    return true;
+  }
+
+  // Rooms with an AC controller can also be cooled, which needs its own target
+  // temperature and mode.
+  setCooling(cooling) {
+    if (cooling === Boolean(this.cooling)) {
+      return false;
+    }
+
+    this.cooling = cooling;
+    this.findProperty('mode').enum = cooling ? ['auto', 'heat', 'cool', 'off'] : ['auto', 'heat', 'off'];
+    if (cooling) {
+      const { unit, minimum, maximum, multipleOf } = this.findProperty('targetTemperature');
+      const property = new CoolingTemperatureProperty(this, 'coolingTargetTemperature', {
+        title: 'Cooling Target Temperature',
+        type: 'number',
+        unit,
+        precision: 1,
+        multipleOf,
+        minimum,
+        maximum,
+      });
+      this.properties.set('coolingTargetTemperature', property);
+    } else {
+      this.properties.delete('coolingTargetTemperature');
+    }
+
+    return true;
+  }
+
+  async setRoomThermPoint(temp) {
+    const [home_id, room_id] = this.getIds();
+    const duration = this.findProperty('overrideDuration').value;
+    const celsius = this.toCelsius(temp);
+    return this.queueWrite('targetTemperature', temp, () => {
+      return this.adapter.setRoomThermPoint(home_id, room_id, celsius, duration);
+    });
+  }
+
+  // Converts a temperature in the displayed unit to what Netatmo expects, rejecting
+  // temperatures outside of the room's limits before anything is sent.
+  toCelsius(temp, { minimum, maximum } = this.findProperty('targetTemperature')) {
+    const scale = this.adapter.temperatureScale;
+    if (typeof temp !== 'number' || Number.isNaN(temp) || temp < minimum || temp > maximum) {
+      throw new Error(`Temperature must be between ${minimum} and ${maximum} ${scale.symbol}`);
+    }
+
+    return scale.fromDisplay(temp);
+  }
+
+  async setRoomCoolingPoint(temp) {
+    const [home_id, room_id] = this.getIds();
+    const duration = this.findProperty('overrideDuration').value;
+    const state = {
+      cooling_setpoint_mode: 'manual',
+      cooling_setpoint_temperature: this.toCelsius(temp, this.findProperty('coolingTargetTemperature')),
+      cooling_setpoint_end_time: getEndTime(duration),
+    };
+    return this.queueWrite('coolingTargetTemperature', temp, () => {
+      return this.adapter.setRoomState(home_id, room_id, state);
+    });
+  }
+
+  async setThermostatMode(value) {
+    const [home_id, room_id] = this.getIds();
+    if (this.cooling) {
+      const state = this.getCoolingRoomState(value);
+      return this.queueWrite('mode', value, () => this.adapter.setRoomState(home_id, room_id, state));
+    }
+
+    if (value === 'heat') {
+      // A manual override keeps the current target temperature for the override duration.
+      const duration = this.findProperty('overrideDuration').value;
+      const celsius = this.toCelsius(this.findProperty('targetTemperature').value);
+      return this.queueWrite('mode', value, () => {
+        return this.adapter.setRoomThermPoint(home_id, room_id, celsius, duration);
+      });
+    }
+    return this.queueWrite('mode', value, () => this.adapter.setRoomMode(home_id, room_id, value));
+  }
+
+  // Heating and cooling exclude each other, so switching to one turns the other off.
+  getCoolingRoomState(mode) {
+    const endtime = getEndTime(this.findProperty('overrideDuration').value);
+    const coolingTarget = this.findProperty('coolingTargetTemperature');
+    switch (mode) {
+      case 'heat':
+        return {
+          therm_setpoint_mode: 'manual',
+          therm_setpoint_temperature: this.toCelsius(this.findProperty('targetTemperature').value),
+          therm_setpoint_end_time: endtime,
+          cooling_setpoint_mode: 'off',
+        };
+      case 'cool':
+        return {
+          therm_setpoint_mode: 'off',
+          cooling_setpoint_mode: 'manual',
+          cooling_setpoint_temperature: this.toCelsius(coolingTarget.value, coolingTarget),
+          cooling_setpoint_end_time: endtime,
+        };
+      case 'off':
+        return {
+          therm_setpoint_mode: 'off',
+          cooling_setpoint_mode: 'off',
+        };
+      default:
+        return {
+          therm_setpoint_mode: 'home',
+          cooling_setpoint_mode: 'home',
+        };
+    }
+  }
+
+  queueWrite(propertyName, value, write) {
+    return this.writes.queue(propertyName, value, write).catch((error) => {
+      console.error(`Setting ${propertyName} of ${this.title} failed:`, error.message);
+      throw error;
+    });
+  }
+
+  // Values of a status update are only shown once the changes of the property sent
+  // before have arrived. Netatmo then confirms or corrects them.
+  updateStatusProperty(propertyName, value) {
+    if (this.writes.isPending(propertyName)) {
+      return this.findProperty(propertyName).value;
+    }
+
+    const previousValue = this.updateProperty(propertyName, value);
+    this.writes.confirm(propertyName);
+    return previousValue;
+  }
+
+  async performAction(action) {
+    const [home_id, room_id] = this.getIds();
+    const input = action.input || {};
+
+    action.start();
+    try {
+      switch (action.name) {
+        case 'boost':
+          // Without a temperature the valves open fully.
+          await this.adapter.setRoomOverride(home_id, room_id, {
+            mode: input.temperature ? 'manual' : 'max',
+            temp: input.temperature ? this.toCelsius(input.temperature) : undefined,
+            duration: input.duration || DEFAULT_BOOST_DURATION,
+          });
+          break;
+        case 'frostProtect':
+          await this.adapter.setRoomOverride(home_id, room_id, {
+            mode: 'manual',
+            temp: input.temperature ? this.toCelsius(input.temperature, this.frostLimits) : this.frostGuardTemperature,
+            duration: input.duration || DEFAULT_FROST_PROTECTION_DURATION,
+          });
+          break;
+        case 'resumeSchedule':
+          await this.adapter.setRoomMode(home_id, room_id, 'auto');
+          break;
+      }
+      this.adapter.scheduleHomeStatusUpdate(home_id);
+    } catch (error) {
+      console.error(`Action ${action.name} failed:`, error.message);
+      throw error;
+    } finally {
+      action.finish();
+    }
+  }
+}
+
+class HomeDevice extends NetatmoDevice {
+  constructor(adapter, id, home) {
+    super(adapter, id);
+    this.homeId = home.id;
+    this.title = home.name;
+    this.type = 'thing';
+    this['@type'] = [];
+    this.description = `Netatmo Home ${home.name}`;
+
+    const properties = {
+      mode: {
+        title: 'Home Mode',
+        type: 'string',
+        enum: HOME_MODES,
+        value: home.therm_mode,
+      },
+      modeDuration: {
+        title: 'Mode Duration',
+        description: 'How long away or frost guard mode should last, 0 keeps it until changed',
+        type: 'integer',
+        unit: 'minute',
+        minimum: 0,
+        multipleOf: 1,
+        value: 0,
+      },
+      modeEndTime: {
+        title: 'Mode Until',
+        type: 'string',
+        readOnly: true,
+        value: formatTimestamp(home.therm_mode_endtime),
+      },
+      schedule: {
+        title: 'Active Schedule',
+        type: 'string',
+        enum: getHeatingSchedules(home).map((schedule) => schedule.name),
+        value: getActiveScheduleName(home),
+      },
+      ...getStatisticsProperties(adapter.config),
+    };
+    this.schedules = getHeatingSchedules(home);
+
+    for (const propertyName in properties) {
+      const propertyDescription = properties[propertyName];
+      let property = new ThermostatProperty(this, propertyName, propertyDescription);
+
+      if (propertyName === 'mode') {
+        property = new HomeModeProperty(this, propertyName, propertyDescription);
+      } else if (propertyName === 'schedule') {
+        property = new ScheduleProperty(this, propertyName, propertyDescription);
+      }
+
+      this.properties.set(propertyName, property);
+    }
+  }
+
+  setHomeMode(mode) {
+    const duration = this.findProperty('modeDuration').value;
+    return this.adapter.setHomeMode(this.homeId, mode, duration);
+  }
+
+  // Returns whether the schedules to choose from changed, as the gateway only learns
+  // about them when the device is added again.
+  updateSchedules(home) {
+    this.schedules = getHeatingSchedules(home);
+    const property = this.findProperty('schedule');
+    const names = this.schedules.map((schedule) => schedule.name);
+    const changed = JSON.stringify(names) !== JSON.stringify(property.enum);
+    property.enum = names;
+    this.updateProperty('schedule', getActiveScheduleName(home));
+
+    return changed;
+  }
+
+  switchSchedule(name) {
+    const schedule = this.schedules.find((s) => s.name === name);
+    if (!schedule) {
+      return Promise.reject(new Error(`Unknown schedule ${name}`));
+    }
+
+    return this.adapter.switchSchedule(this.homeId, schedule.id);
+  }
+
+  // The boiler is assumed to run at the share of its power the home demands.
+  updateStatistics(summary) {
+    super.updateStatistics(summary);
+
+    const { boilerPower, energyPrice } = this.adapter.config;
+    if (!(boilerPower > 0)) {
+      return;
+    }
+
+    const energyToday = summary.demandMinutesToday / 60 * boilerPower;
+    const energyYesterday = summary.demandMinutesYesterday / 60 * boilerPower;
+    this.updateProperty('energyToday', roundTo(energyToday, 2));
+    this.updateProperty('energyYesterday', roundTo(energyYesterday, 2));
+
+    if (energyPrice > 0) {
+      this.updateProperty('costToday', roundTo(energyToday * energyPrice, 2));
+      this.updateProperty('costYesterday', roundTo(energyYesterday * energyPrice, 2));
+    }
+  }
+}
+
+class ModuleDevice extends NetatmoDevice {
+  constructor(adapter, id, module, room) {
+    super(adapter, id);
+    this.title = module.name;
+    this.type = 'thing';
+    this['@type'] = [];
+    this.description = room ? `${module.name} in ${room.name}` : module.name;
+
+    const properties = {
       signal: {
-        title: `${module.name} - Signal`,
+        title: 'Signal',
         type: 'integer',
         unit: 'percent',
         minimum: 0,
@@ -94,10 +673,22 @@ class RoomDevice extends Device {
         multipleOf: 1,
         readOnly: true,
       },
+      firmware: {
+        title: 'Firmware',
+        type: 'integer',
+        readOnly: true,
+      },
+      reachable: {
+        title: 'Reachable',
+        type: 'boolean',
+        readOnly: true,
+      },
     };
-    if (module.type !== "NAC") {
-      newProperties.battery = {
-        title: `${module.name} - Battery`,
+
+    if (hasBattery(module.type)) {
+      properties.battery = {
+        '@type': 'LevelProperty',
+        title: 'Battery',
         type: 'integer',
         unit: 'percent',
         minimum: 0,
@@ -105,58 +696,182 @@ class RoomDevice extends Device {
         multipleOf: 1,
         readOnly: true,
       };
+      properties.batteryState = {
+        title: 'Battery State',
+        type: 'string',
+        enum: BATTERY_STATES,
+        readOnly: true,
+      };
+    }
+
+    if (module.type === 'NATherm1') {
+      properties.boilerStatus = {
+        '@type': 'OnOffProperty',
+        title: 'Boiler',
+        type: 'boolean',
+        readOnly: true,
+      };
+    }
+
+    if (module.type === COOLING_TYPE) {
+      properties.fanSpeed = {
+        title: 'Fan Speed',
+        type: 'string',
+        readOnly: true,
+      };
     }
 
-    for (const propertyName in newProperties) {
-      const propertyDescription = newProperties[propertyName];
-      const property = new ThermostatProperty(this, propertyName, propertyDescription);
+    for (const propertyName in properties) {
+      const property = new ThermostatProperty(this, propertyName, properties[propertyName]);
       this.properties.set(propertyName, property);
     }
+
+    this.addEvent('batteryLow', {
+      title: 'Battery low',
+      description: 'The batteries need to be replaced soon',
+      type: 'integer',
+      unit: 'percent',
+    });
+    this.addEvent('unreachable', {
+      title: 'Module unreachable',
+      description: 'The module lost its connection to Netatmo',
+    });
   }
 
-  updateProperty(propertyName, value) {
-    const property = this.findProperty(propertyName);
-    if (property.value != value) {
-      property.setCachedValue(value);
-      this.notifyPropertyChanged(property);
+  updateReachable(reachable) {
+    const wasReachable = this.updateProperty('reachable', reachable);
+    if (wasReachable && !reachable) {
+      this.emitEvent('unreachable');
     }
   }
 
-  setRoomThermPoint(temp) {
-    const [home_id, room_id] = this.getIds();
-    return this.adapter.setRoomThermPoint(home_id, room_id, temp);
+  updateBattery(battery, batteryState) {
+    this.updateProperty('battery', battery);
+    this.updateProperty('batteryState', batteryState);
+
+    // Not all modules report a battery state, so fall back to the percentage.
+    const batteryLow = batteryState ? LOW_BATTERY_STATES.includes(batteryState) : battery <= 20;
+    if (this.batteryLow === false && batteryLow) {
+      this.emitEvent('batteryLow', battery);
+    }
+    this.batteryLow = batteryLow;
   }
+}
+
+class RelayDevice extends NetatmoDevice {
+  constructor(adapter, id, module, bridgedModules) {
+    super(adapter, id);
+    this.title = module.name;
+    this.type = 'thing';
+    this['@type'] = [];
+    this.description = `Netatmo Relay ${module.name}`;
+
+    const properties = {
+      signal: {
+        title: 'WiFi Signal',
+        type: 'integer',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+        multipleOf: 1,
+        readOnly: true,
+      },
+      firmware: {
+        title: 'Firmware',
+        type: 'integer',
+        readOnly: true,
+      },
+      bridgedModules: {
+        title: 'Bridged Modules',
+        type: 'string',
+        readOnly: true,
+        value: bridgedModules.join(', '),
+      },
+    };
 
-  setThermostatMode(value) {
-    const [home_id] = this.getIds();
-    return this.adapter.setThermostatMode(home_id, value);
+    for (const propertyName in properties) {
+      const property = new ThermostatProperty(this, propertyName, properties[propertyName]);
+      this.properties.set(propertyName, property);
+    }
   }
 }
 
+// Every Netatmo account is connected through its own adapter, all of them share the
+// API handler of the add-on.
 class NetatmoEnergyAdapter extends Adapter {
-  constructor(addonManager, manifest) {
-    super(addonManager, 'NetatmoEnergyAdapter', manifest.name);
+  constructor(addonManager, manifest, account, apiHandler) {
+    const id = account.prefix ? `NetatmoEnergyAdapter-${account.id}` : 'NetatmoEnergyAdapter';
+    super(addonManager, id, manifest.name);
     this.manifest = manifest;
-    this.config = manifest.moziot.config;
+    this.account = account;
+    this.config = account.config;
+    this.apiHandler = apiHandler;
     this.init(addonManager);
   }
 
   async init(addonManager) {
-    this.netatmo = new Netatmo(this.config, this.manifest.name);
-    this.apiHandler = new CallbackAPIHandler(addonManager, this.manifest.name);
+    if (this.config.simulation) {
+      console.log('Simulating a Netatmo home');
+      this.netatmo = new SimulatedNetatmo(this.config, this.manifest.name);
+    } else {
+      this.netatmo = new Netatmo(this.config, this.manifest.name, this.account.configName);
+    }
+    this.netatmo.on(Netatmo.AUTH_REQUIRED, () => this.handleAuthRequired());
+    this.apiHandler.addAdapter(this);
+    this.temperatureScale = new TemperatureScale(this.config.temperatureUnit, this.config.temperatureStep);
 
     addonManager.addAdapter(this);
 
-    this.devices = {};
+    // Devices by Netatmo home, room or module ID. The base class keeps its own
+    // this.devices by device ID.
+    this.netatmoDevices = {};
     this.moduleMapping = {};
+    this.removedDevices = new Set();
+    this.statusUpdates = new Map();
+    this.roomStatus = new Map();
+    this.stateCache = {
+      homes: null,
+      homeStatus: {},
+      ...this.config.state_cache,
+    };
+    this.lastStateSave = Date.now();
+    this.pollSchedule = new PollSchedule({
+      statusInterval: (this.config.pollInterval || DEFAULT_POLL_INTERVAL) * 60 * 1000,
+      topologyInterval: (this.config.topologyInterval || DEFAULT_TOPOLOGY_INTERVAL) * 60 * 1000,
+    });
+    this.heatingStatistics = new HeatingStatistics(this.config.heating_statistics, this.pollSchedule.maxDelay);
+
+    this.restoreDevices();
 
-    console.log('Checking if authentication is required: ', this.netatmo.needsAuth);
+    console.log(`Checking if authentication is required for ${this.account.name}: `, this.netatmo.needsAuth);
     if (!this.netatmo.needsAuth) {
       this.postAuth();
+    } else if (this.config.authorization_code) {
+      this.authenticateWithConfiguredCode();
+    }
+  }
+
+  // The code is only valid once, so it is removed from the config whether or not
+  // the exchange worked.
+  async authenticateWithConfiguredCode() {
+    const code = this.config.authorization_code;
+    this.config.authorization_code = '';
+
+    try {
+      await addToConfig(this.manifest.name, { authorization_code: '' }, this.account.configName);
+      await this.authenticateWithCode(code);
+    } catch (error) {
+      console.error('Authorizing with the configured code failed:', error.message);
     }
   }
 
+  // Does nothing once the adapter was unloaded or its account removed, which can
+  // happen while the devices are being created.
   async postAuth() {
+    if (this.stopped) {
+      return;
+    }
+
     console.log('Creating devices...');
     try {
       await this.createDevices();
@@ -169,110 +884,440 @@ class NetatmoEnergyAdapter extends Adapter {
       // This can happen when the token is expired when the adapter is starting up.
       // In that case we want to wait a bit until the automatic refresh has happened,
       // and then try again. We do not need to refresh the token here, as that is handled
-      // internally.
-      setTimeout(() => this.postAuth(), 10000);
+      // internally. A rejected refresh token needs the user instead, and authorizing
+      // again creates the devices.
+      if (!this.stopped && !this.netatmo.needsAuth) {
+        clearTimeout(this.postAuthTimeout);
+        this.postAuthTimeout = setTimeout(() => this.postAuth(), 10000);
+      }
       return;
     }
 
-    if (!this.updateInterval) {
-      this.updateInterval = setInterval(() => this.updateHomeData(), 5 * 60 * 1000);
-    }
-
-    this.updateHomeData();
-  }
-
-  async authenticate() {
-    if (!this.netatmo) {
+    if (this.stopped) {
       return;
     }
 
-    const redirectURI = `${this.config.baseUrl}/extensions/${this.manifest.name}`;
-    const iterable = this.netatmo.authenticate(['read_thermostat', 'write_thermostat'], redirectURI);
-    const { value: url } = await iterable.next();
+    // Polling stays as a fallback in case webhook events get lost.
+    if (!this.polling) {
+      this.polling = true;
+      this.registerWebhook();
+    }
 
-    if (url) {
-      const listener = new CallbackListener('callback-listener');
-      this.apiHandler.addListener(listener);
-      this.sendPairingPrompt('Please authorize the adapter to access your Netatmo account.', url);
+    this.poll();
+  }
 
-      // The listener will get triggered from the APIHandler and will resolve its success
-      // promise once the callback route got called.
-      // TODO: this probably should have a timeout integrated and reject at some point
-      const result = await listener.successPromise;
-      this.apiHandler.removeListener(listener);
-      await iterable.next(result);
+  stopPolling() {
+    this.polling = false;
+    clearTimeout(this.pollTimeout);
+    delete this.pollTimeout;
+    clearTimeout(this.postAuthTimeout);
+    delete this.postAuthTimeout;
+  }
 
-      await this.postAuth();
+  // A running poll schedules the next one once it is done, so polls never overlap.
+  schedulePoll() {
+    clearTimeout(this.pollTimeout);
+    if (this.polling && !this.pollRunning) {
+      this.pollTimeout = setTimeout(() => this.poll(), this.pollSchedule.getDelay());
     }
   }
 
-  async createDevices() {
-    const homeData = await this.netatmo.getHomeData();
+  // Polls again shortly to show the result of a write.
+  pollSoon(topology = false) {
+    this.pollSchedule.speedUp(topology);
+    this.schedulePoll();
+  }
+
+  // The refresh token was rejected, so nothing works until the user authorizes the
+  // adapter again. Stop polling and retrying to create the devices instead of sending
+  // requests that are bound to fail, and would push the reason off the status page.
+  // The pairing prompt is only shown while adding things, so the Netatmo Energy page
+  // reports the account as requiring authorization and its things are disconnected.
+  handleAuthRequired() {
+    console.error('Netatmo re-authorization required');
+    this.stopPolling();
+    Object.values(this.netatmoDevices).forEach((device) => device.setConnected(false));
+    this.netatmo.recordError(new Error('Netatmo rejected the authorization, please authorize the account again'));
+
+    this.sendPairingPrompt(
+      `Netatmo re-authorization of ${this.account.name} required. Add a new thing and follow the link to authorize the adapter again.`,
+      `${this.config.baseUrl}/extensions/${this.manifest.name}`
+    );
+  }
+
+  async authenticate() {
+    const url = await this.startAuthentication();
+
+    if (url) {
+      this.sendPairingPrompt(`Please authorize the adapter to access your Netatmo account ${this.account.name}.`, url);
+      await this.authentication;
+    }
+  }
+
+  // Returns the URL the user has to open to authorize the adapter, if authorization is
+  // possible. this.authentication settles once the user came back from it, the
+  // authorization timed out or pairing was cancelled.
+  async startAuthentication() {
+    if (!this.netatmo) {
+      return;
+    }
+
+    this.cancelPairing();
+
+    const iterable = this.netatmo.authenticate(SCOPES, this.getRedirectURI());
+    const { value: url } = await iterable.next();
+
+    if (url) {
+      const state = new URL(url).searchParams.get('state');
+      const listener = new CallbackListener(`callback-listener-${this.account.id}`, state, AUTHORIZATION_TIMEOUT);
+      this.pairingListener = listener;
+      this.apiHandler.addListener(listener);
+
+      this.authentication = this.finishAuthentication(listener, iterable);
+      this.authentication.catch((error) => this.handleAuthenticationError(error));
+    }
+
+    return url;
+  }
+
+  async finishAuthentication(listener, iterable) {
+    // The listener will get triggered from the APIHandler and will resolve its success
+    // promise once the callback route got called.
+    let result;
+    try {
+      result = await listener.successPromise;
+    } finally {
+      this.apiHandler.removeListener(listener);
+      if (this.pairingListener === listener) {
+        delete this.pairingListener;
+      }
+    }
+    await iterable.next(result);
+
+    await this.postAuth();
+  }
+
+  // Completes the authorization from a code or the whole URL Netatmo redirected to,
+  // for when the redirect can not reach the gateway. Without an authorization in
+  // progress the code is exchanged on its own, as its state can not be checked anyway.
+  async authenticateWithCode(input) {
+    const data = { ...parseAuthorizationInput(input), manual: true };
+
+    if (this.pairingListener) {
+      const authentication = this.authentication;
+      this.pairingListener.complete(data);
+      await authentication;
+      return;
+    }
+
+    delete data.state;
+    const iterable = this.netatmo.authenticate(SCOPES, this.getRedirectURI());
+    await iterable.next();
+    try {
+      await iterable.next(data);
+    } catch (error) {
+      this.handleAuthenticationError(error);
+      throw error;
+    }
+
+    await this.postAuth();
+  }
+
+  handleAuthenticationError(error) {
+    console.error('Authentication failed:', error.message);
+    this.netatmo.recordError(error);
+  }
+
+  getRedirectURI() {
+    return `${this.config.baseUrl}/extensions/${this.manifest.name}`;
+  }
+
+  async disconnect() {
+    this.stopPolling();
+    clearTimeout(this.webhookActivationTimeout);
+
+    if (this.webhookRegistered) {
+      await this.netatmo.dropWebhook().catch((error) => {
+        console.error('Dropping webhook failed:', error);
+      });
+      this.webhookRegistered = false;
+    }
+
+    await this.netatmo.logout();
+    Object.values(this.netatmoDevices).forEach((device) => device.setConnected(false));
+  }
+
+  // Forgets the account and removes its devices, the other accounts keep running.
+  async removeAccount() {
+    this.stopped = true;
+    this.cancelPairing();
+    await this.disconnect();
+    await removeAccountFromConfig(this.manifest.name, this.account.configName);
+    this.stateCache = { homes: null, homeStatus: {} };
+
+    Object.values(this.netatmoDevices).forEach((device) => this.handleDeviceRemoved(device));
+    this.apiHandler.removeAdapter(this);
+  }
+
+  getStatus() {
+    let state = 'connected';
+    if (this.config.simulation) {
+      state = 'simulated';
+    } else if (this.netatmo.needsAuth) {
+      state = 'authorization required';
+    } else if (!this.config.token) {
+      state = 'connecting';
+    }
+
+    return {
+      id: this.account.id,
+      name: this.account.name,
+      state,
+      tokenExpires: this.config.expires ? new Date(this.config.expires).toISOString() : null,
+      lastPoll: this.lastPoll || null,
+      homes: (this.homeData || []).map((home) => ({
+        id: home.id,
+        name: home.name,
+        rooms: home.rooms.map((room) => ({
+          id: room.id,
+          name: room.name,
+          modules: home.modules
+            .filter((module) => module.room_id === room.id)
+            .map(({ id, name, type }) => ({ id, name, type })),
+        })),
+        modules: home.modules
+          .filter((module) => !module.room_id)
+          .map(({ id, name, type }) => ({ id, name, type })),
+      })),
+      errors: this.netatmo.errors,
+    };
+  }
+
+  // Collects what is needed to find out why something does not work, without the
+  // secrets of the account.
+  getDiagnostics() {
+    return {
+      id: this.account.id,
+      state: this.getStatus().state,
+      config: redactConfig(this.config),
+      homesdata: this.stateCache.homes,
+      homestatus: Object.fromEntries(Object.entries(this.stateCache.homeStatus)
+        .map(([homeId, { status, lastUpdated }]) => [homeId, { lastUpdated, status }])),
+      moduleMapping: this.moduleMapping,
+      devices: Object.entries(this.netatmoDevices).map(([key, device]) => ({
+        key,
+        id: device.id,
+        connected: device.connected,
+      })),
+      lastPoll: this.lastPoll || null,
+      errors: this.netatmo.errors,
+      tokenRefresh: {
+        expires: this.config.expires ? new Date(this.config.expires).toISOString() : null,
+        ...this.netatmo.refreshTimes,
+      },
+    };
+  }
+
+  async createDevices() {
+    this.syncDevices(await this.fetchHomeData());
+  }
+
+  // Returns the homes to show, after keeping the ones reported by Netatmo for
+  // restoreDevices.
+  async fetchHomeData() {
+    const homes = await this.netatmo.getHomeData();
+    if (JSON.stringify(homes) !== JSON.stringify(this.stateCache.homes)) {
+      this.stateCache.homes = homes;
+      for (const homeId of Object.keys(this.stateCache.homeStatus)) {
+        if (!homes.some((home) => home.id === homeId)) {
+          delete this.stateCache.homeStatus[homeId];
+        }
+      }
+      this.saveState();
+    }
+
+    return filterHomes(homes, this.config);
+  }
+
+  // Rebuilds the devices from the last state reported by Netatmo, so they exist while
+  // the add-on waits for Netatmo after a start. They show the cached values and stay
+  // disconnected until they are updated.
+  restoreDevices() {
+    if (!Array.isArray(this.stateCache.homes)) {
+      return;
+    }
+
+    console.log(`Restoring devices of ${this.account.name} from the last known state`);
+    try {
+      const homeData = filterHomes(this.stateCache.homes, this.config);
+      this.syncDevices(homeData);
+      this.homeData = homeData;
+
+      homeData.forEach((home) => {
+        const cached = this.stateCache.homeStatus[home.id];
+        if (cached) {
+          this.applyHomeStatus(home.id, cached.status, cached.lastUpdated, true);
+        }
+        this.setHomeConnected(home.id, false);
+      });
+    } catch (error) {
+      console.error('Restoring devices failed:', error);
+    }
+  }
+
+  // Brings the devices in line with the homes, rooms and modules reported by Netatmo,
+  // adding new ones and removing the ones that no longer exist or are filtered out.
+  syncDevices(homeData) {
+    const knownIds = new Set();
+    this.moduleMapping = {};
+
+    homeData.forEach((home) => {
+      knownIds.add(home.id);
+      if (!this.netatmoDevices[home.id]) {
+        this.addDevice(home.id, new HomeDevice(this, `${this.account.prefix}${HOME_PREFIX}${home.id}`, home));
+      }
 
-    homeData.forEach((home) => {
       home.rooms.forEach((room) => {
         const id = `${home.id}-${room.id}`;
-        this.devices[id] = new RoomDevice(this, `${DEVICE_PREFIX}${id}`, {
-          '@type': ['Thermostat'],
-          title: `${home.name} - ${room.name}`,
-          description: `${home.name} - ${room.name}`,
-          properties: {
-            temperature: {
-              '@type': 'TemperatureProperty',
-              title: 'Current Temperature',
-              type: 'number',
-              unit: 'degree celsius',
-              precision: 1,
-              multipleOf: 0.5,
-              readOnly: true,
-            },
-            targetTemperature: {
-              '@type': 'TargetTemperatureProperty',
-              title: 'Target Temperature',
-              type: 'number',
-              unit: 'degree celsius',
-              precision: 1,
-              multipleOf: 0.5,
-            },
-            heating: {
-              '@type': 'HeatingCoolingProperty',
-              title: 'Heating',
-              type: 'string',
-              readOnly: true,
-            },
-            mode: {
-              '@type': 'ThermostatModeProperty',
-              title: 'Mode',
-              type: 'string',
-              enum: ['auto', 'off'],
-            },
-          },
+        const modules = home.modules.filter((module) => {
+          return module.room_id === room.id && AVAILABLE_TYPES.includes(module.type);
         });
+        modules.forEach((module) => {
+          this.moduleMapping[module.id] = room.id;
+        });
+        knownIds.add(id);
+
+        const device = this.netatmoDevices[id];
+        if (device) {
+          device.frostGuardTemperature = getFrostGuardTemperature(home);
+          // Adding the device again updates its description in the gateway.
+          if (device.setModules(modules)) {
+            this.handleDeviceAdded(device);
+          }
+          return;
+        }
+
+        const roomDevice = createRoomDevice(this, home, room);
+        roomDevice.setModules(modules);
+        this.addDevice(id, roomDevice);
       });
 
       home.modules.forEach((module) => {
-        if (!AVAILABLE_TYPES.includes(module.type)) {
+        if (!AVAILABLE_TYPES.includes(module.type) || module.type === RELAY_TYPE) {
           return;
         }
 
-        const deviceId = `${home.id}-${module.room_id}`;
-        const roomDevice = this.devices[deviceId];
+        // Modules of filtered rooms are left out along with the room.
+        if (module.room_id && !home.rooms.some((room) => room.id === module.room_id)) {
+          return;
+        }
 
-        if (roomDevice) {
-          roomDevice.addModule(module);
-          this.moduleMapping[module.id] = module.room_id;
+        const moduleId = `${home.id}-${module.id}`;
+        knownIds.add(moduleId);
+        if (!this.netatmoDevices[moduleId]) {
+          const room = home.rooms.find((r) => r.id === module.room_id);
+          this.addDevice(moduleId, new ModuleDevice(this, `${this.account.prefix}${MODULE_PREFIX}${moduleId}`, module, room));
         }
       });
+
+      home.modules.forEach((module) => {
+        if (module.type !== RELAY_TYPE) {
+          return;
+        }
+
+        // The relay is not placed in a room, so it gets its own device, listing the
+        // thermostats and valves that talk to the Netatmo cloud through it.
+        const bridgedModules = (module.modules_bridged || []).map((bridgedId) => {
+          const bridgedModule = home.modules.find((m) => m.id === bridgedId);
+          return bridgedModule ? bridgedModule.name : bridgedId;
+        });
+        const relayId = `${home.id}-${module.id}`;
+        knownIds.add(relayId);
+
+        if (this.netatmoDevices[relayId]) {
+          this.netatmoDevices[relayId].updateProperty('bridgedModules', bridgedModules.join(', '));
+          return;
+        }
+
+        this.addDevice(relayId, new RelayDevice(this, `${this.account.prefix}${RELAY_PREFIX}${relayId}`, module, bridgedModules));
+      });
     });
 
-    for (const deviceId in this.devices) {
-      this.handleDeviceAdded(this.devices[deviceId]);
+    for (const id of Object.keys(this.netatmoDevices)) {
+      if (!knownIds.has(id)) {
+        console.log('Removing device that no longer exists in Netatmo or is filtered out:', id);
+        this.handleDeviceRemoved(this.netatmoDevices[id]);
+      }
+    }
+  }
+
+  addDevice(id, device) {
+    if (this.removedDevices.has(device.id)) {
+      return;
+    }
+
+    this.netatmoDevices[id] = device;
+    this.handleDeviceAdded(device);
+  }
+
+  handleDeviceRemoved(device) {
+    for (const id of Object.keys(this.netatmoDevices)) {
+      if (this.netatmoDevices[id] === device) {
+        delete this.netatmoDevices[id];
+      }
     }
+
+    super.handleDeviceRemoved(device);
+  }
+
+  // Things removed by the user stay removed until they are paired again.
+  removeThing(device) {
+    this.removedDevices.add(device.id);
+    this.handleDeviceRemoved(device);
+  }
+
+  cancelPairing() {
+    if (this.pairingListener) {
+      this.pairingListener.cancel();
+    }
+  }
+
+  async unload() {
+    this.stopped = true;
+    this.stopPolling();
+    this.cancelPairing();
+
+    for (const timeout of this.statusUpdates.values()) {
+      clearTimeout(timeout);
+    }
+    this.statusUpdates.clear();
+
+    await this.saveState();
+
+    clearTimeout(this.webhookActivationTimeout);
+    if (this.webhookRegistered) {
+      try {
+        await this.netatmo.dropWebhook();
+      } catch (error) {
+        console.error('Dropping webhook failed:', error);
+      }
+    }
+
+    this.netatmo.unInit();
+
+    return super.unload();
   }
 
   async startPairing() {
+    this.removedDevices.clear();
+
     if (this.netatmo.needsAuth) {
-      await this.authenticate();
+      try {
+        await this.authenticate();
+      } catch (error) {
+        // Already reported by startAuthentication.
+        return;
+      }
     }
 
     try {
@@ -284,47 +1329,406 @@ class NetatmoEnergyAdapter extends Adapter {
   }
 
   async updateHomeData() {
-    const homeData = await this.netatmo.getHomeData();
-
-    homeData.forEach(async (home) => {
-      const homeStatusData = await this.netatmo.getHomeStatus(home.id);
-      homeStatusData.rooms.forEach((room) => {
-        const deviceId = `${home.id}-${room.id}`;
-        const device = this.devices[deviceId];
-        const isHeating = room.heating_power_request > 0;
-        const isCooling = room.cooling_setpoint_mode && room.cooling_setpoint_mode !== 'off';
-        device.updateProperty('temperature', room.therm_measured_temperature);
-        device.updateProperty('targetTemperature', isHeating ? room.therm_setpoint_temperature : room.cooling_setpoint_temperature);
-        device.updateProperty('heating', isHeating ? 'heating' : (isCooling ? 'cooling' : 'off'));
-      });
+    let homeData;
+    try {
+      homeData = await this.fetchHomeData();
+    } catch (error) {
+      // Without a response from Netatmo the values shown are stale.
+      Object.values(this.netatmoDevices).forEach((device) => device.setConnected(false));
+      throw error;
+    }
+    this.syncDevices(homeData);
+    this.homeData = homeData;
 
-      homeStatusData.modules.forEach((module) => {
-        if (!AVAILABLE_TYPES.includes(module.type)) {
-          return;
+    homeData.forEach((home) => {
+      const homeDevice = this.netatmoDevices[home.id];
+      if (homeDevice) {
+        homeDevice.updateProperty('mode', home.therm_mode);
+        homeDevice.updateProperty('modeEndTime', formatTimestamp(home.therm_mode_endtime));
+        if (homeDevice.updateSchedules(home)) {
+          this.handleDeviceAdded(homeDevice);
         }
+      }
+    });
 
-        const deviceId = `${home.id}-${this.moduleMapping[module.id]}`;
-        const device = this.devices[deviceId];
-        if (module.type !== "NAC") {
-          device.updateProperty('battery', interpolateBattery(module.battery_level, module.type));
+    return this.updateHomesStatus();
+  }
+
+  // Returns whether any room changed and whether Netatmo limited the requests.
+  async updateHomesStatus() {
+    const results = await Promise.all((this.homeData || []).map(async (home) => {
+      try {
+        return { changed: await this.updateHomeStatus(home.id) };
+      } catch (error) {
+        console.error(`Updating status of home ${home.id} failed:`, error.message);
+        this.setHomeConnected(home.id, false);
+        return { rateLimited: error instanceof NetatmoRateLimitError };
+      }
+    }));
+    this.lastPoll = new Date().toISOString();
+
+    return {
+      changed: results.some((result) => result.changed),
+      rateLimited: results.some((result) => result.rateLimited),
+    };
+  }
+
+  setHomeConnected(homeId, connected) {
+    for (const id in this.netatmoDevices) {
+      if (id === homeId || id.startsWith(`${homeId}-`)) {
+        this.netatmoDevices[id].setConnected(connected);
+      }
+    }
+  }
+
+  async poll() {
+    clearTimeout(this.pollTimeout);
+    if (this.pollRunning) {
+      return;
+    }
+
+    this.pollRunning = true;
+    const topology = this.pollSchedule.isTopologyDue();
+    try {
+      const result = topology ? await this.updateHomeData() : await this.updateHomesStatus();
+      this.pollSchedule.recordPoll({ topology, ...result });
+    } catch (error) {
+      console.error('Updating home data failed:', error.message);
+      this.pollSchedule.recordPoll({ rateLimited: error instanceof NetatmoRateLimitError });
+    } finally {
+      this.pollRunning = false;
+    }
+
+    this.schedulePoll();
+  }
+
+  // Returns whether the status of any room changed since the last update.
+  async updateHomeStatus(homeId) {
+    const homeStatusData = await this.netatmo.getHomeStatus(homeId);
+    const lastUpdated = new Date().toISOString();
+
+    const roomStatus = JSON.stringify(homeStatusData.rooms);
+    const changed = this.roomStatus.get(homeId) !== roomStatus;
+    this.roomStatus.set(homeId, roomStatus);
+
+    this.applyHomeStatus(homeId, homeStatusData, lastUpdated);
+    this.updateStatistics(homeId, homeStatusData.rooms);
+
+    this.stateCache.homeStatus[homeId] = { status: homeStatusData, lastUpdated };
+    if (Date.now() - this.lastStateSave >= STATE_SAVE_INTERVAL) {
+      this.saveState();
+    }
+
+    return changed;
+  }
+
+  // Cached values are shown as they were, but the devices stay disconnected.
+  applyHomeStatus(homeId, homeStatusData, lastUpdated, cached = false) {
+    // A room with an unreachable valve or thermostat can not be controlled properly.
+    const unreachableRooms = new Set(homeStatusData.modules
+      .filter((module) => module.reachable === false && module.type !== RELAY_TYPE)
+      .map((module) => this.moduleMapping[module.id]));
+
+    if (this.netatmoDevices[homeId]) {
+      this.netatmoDevices[homeId].setConnected(!cached);
+    }
+
+    homeStatusData.rooms.forEach((room) => {
+      const deviceId = `${homeId}-${room.id}`;
+      const device = this.netatmoDevices[deviceId];
+      if (!device) {
+        return;
+      }
+
+      const isHeating = room.heating_power_request > 0;
+      const isCooling = device.cooling && room.cooling_setpoint_mode && room.cooling_setpoint_mode !== 'off';
+      const scale = this.temperatureScale;
+      device.updateProperty('temperature', scale.toDisplay(room.therm_measured_temperature));
+      device.updateStatusProperty('targetTemperature', scale.toDisplayStep(room.therm_setpoint_temperature));
+      if (device.cooling) {
+        device.updateStatusProperty('coolingTargetTemperature', scale.toDisplayStep(room.cooling_setpoint_temperature));
+      }
+      device.updateProperty('heating', isHeating ? 'heating' : (isCooling ? 'cooling' : 'off'));
+      device.updateProperty('heatingPowerRequest', room.heating_power_request || 0);
+      device.updateProperty('anticipating', Boolean(room.anticipating));
+      device.updateSetpoint(room);
+      device.updateOpenWindow(Boolean(room.open_window));
+      device.updateProperty('lastUpdated', lastUpdated);
+      device.setConnected(!cached && room.reachable !== false && !unreachableRooms.has(room.id));
+    });
+
+    const roomBatteries = {};
+    homeStatusData.modules.forEach((module) => {
+      if (!AVAILABLE_TYPES.includes(module.type)) {
+        return;
+      }
+
+      const device = this.netatmoDevices[`${homeId}-${module.id}`];
+      if (!device) {
+        return;
+      }
+
+      const reachable = module.reachable !== false;
+      device.setConnected(!cached && reachable);
+
+      // Unreachable modules do not report their signal, firmware or battery, so the last
+      // known values are kept.
+      if (module.type === RELAY_TYPE) {
+        if (reachable && module.wifi_strength !== undefined) {
+          device.updateProperty('signal', mapWifiToPercent(module.wifi_strength));
         }
+        if (reachable && module.firmware_revision !== undefined) {
+          device.updateProperty('firmware', module.firmware_revision);
+        }
+        return;
+      }
+
+      device.updateReachable(reachable);
+      if (!reachable) {
+        return;
+      }
+
+      if (module.rf_strength !== undefined) {
         device.updateProperty('signal', mapRfToPercent(module.rf_strength));
+      }
+      if (module.firmware_revision !== undefined) {
+        device.updateProperty('firmware', module.firmware_revision);
+      }
+
+      if (hasBattery(module.type) && module.battery_level !== undefined) {
+        const battery = interpolateBattery(module.battery_level, module.type);
+        const roomId = this.moduleMapping[module.id];
+        device.updateBattery(battery, module.battery_state);
+        roomBatteries[roomId] = Math.min(battery, roomBatteries[roomId] ?? battery);
+      }
+      if (module.type === 'NATherm1') {
+        device.updateProperty('boilerStatus', Boolean(module.boiler_status));
+      }
+      if (module.type === COOLING_TYPE && module.fan_speed !== undefined) {
+        device.updateProperty('fanSpeed', String(module.fan_speed));
+      }
+    });
+
+    for (const roomId in roomBatteries) {
+      const roomDevice = this.netatmoDevices[`${homeId}-${roomId}`];
+      if (roomDevice && roomDevice.findProperty('battery')) {
+        roomDevice.updateProperty('battery', roomBatteries[roomId]);
+      }
+    }
+  }
+
+  // Adds the current heating demand to the statistics of the rooms and the home. The
+  // home demands as much as the room asking for the most heat, filtered rooms included,
+  // as they share the boiler.
+  updateStatistics(homeId, rooms) {
+    const now = Date.now();
+    let homeDemand = 0;
+
+    rooms.forEach((room) => {
+      const id = `${homeId}-${room.id}`;
+      const demand = room.heating_power_request || 0;
+      homeDemand = Math.max(homeDemand, demand);
+
+      const device = this.netatmoDevices[id];
+      if (device) {
+        this.heatingStatistics.record(id, demand, now);
+        device.updateStatistics(this.heatingStatistics.getSummary(id, now));
+      }
+    });
+
+    this.heatingStatistics.record(homeId, homeDemand, now);
+    if (this.netatmoDevices[homeId]) {
+      this.netatmoDevices[homeId].updateStatistics(this.heatingStatistics.getSummary(homeId, now));
+    }
+  }
+
+  // Stores the heating statistics and the last state reported by Netatmo, so both
+  // survive restarts.
+  async saveState() {
+    this.lastStateSave = Date.now();
+    const state = {
+      heating_statistics: this.heatingStatistics.toJSON(),
+      state_cache: getRestoreState(this.stateCache),
+    };
+
+    const savedState = JSON.stringify(state);
+    if (savedState === this.savedState) {
+      return;
+    }
+
+    this.savedState = savedState;
+    await addToConfig(this.manifest.name, state, this.account.configName);
+  }
+
+  // Refreshes the status of a home shortly after a webhook event. Netatmo usually sends
+  // several events for one change, so they are collected into a single request.
+  scheduleHomeStatusUpdate(homeId) {
+    if (this.statusUpdates.has(homeId)) {
+      return;
+    }
+
+    this.statusUpdates.set(homeId, setTimeout(() => {
+      this.statusUpdates.delete(homeId);
+      this.updateHomeStatus(homeId).catch((error) => {
+        console.error('Updating home status failed:', error);
       });
+    }, WEBHOOK_REFRESH_DELAY));
+  }
+
+  // The gateway does not pass request headers to add-ons, so the secret Netatmo signs
+  // its events with can not be checked. Instead the URL contains a secret, which ends
+  // up in access logs. It changes with every registration, and events only make the
+  // add-on ask Netatmo for the current status, so a leaked URL can not change anything.
+  async registerWebhook() {
+    if (!this.config.webhooks || !this.config.baseUrl) {
+      return;
+    }
+
+    this.webhookSecret = crypto.randomBytes(32).toString('hex');
+    this.webhookActive = false;
+    const url = `${this.config.baseUrl}/extensions/${this.manifest.name}/api/webhook?secret=${this.webhookSecret}`;
+    try {
+      await this.netatmo.addWebhook(url);
+      this.webhookRegistered = true;
+    } catch (error) {
+      console.error('Registering webhook failed, only polling for updates:', error);
+      return;
+    }
+
+    // Netatmo confirms a new webhook with an event right away.
+    clearTimeout(this.webhookActivationTimeout);
+    this.webhookActivationTimeout = setTimeout(() => {
+      if (this.webhookRegistered && !this.webhookActive) {
+        const error = new Error(`No webhook events arrived from Netatmo, check that ${this.config.baseUrl}/extensions/${this.manifest.name}/api/webhook can be reached from the internet without signing in to the gateway. Polling for updates instead.`);
+        console.error(error.message);
+        this.netatmo.recordError(error);
+      }
+    }, WEBHOOK_ACTIVATION_TIMEOUT);
+  }
+
+  isWebhookAuthentic(secret) {
+    if (!this.webhookSecret || typeof secret !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.webhookSecret);
+    const actual = Buffer.from(secret);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  handleWebhookEvent(event) {
+    this.webhookActive = true;
+
+    const homeId = event.home_id || (event.home && event.home.id);
+    if (!homeId || !this.netatmoDevices[homeId]) {
+      return;
+    }
+
+    console.log('Got webhook event', event.event_type || event.push_type);
+    this.scheduleHomeStatusUpdate(homeId);
+  }
+
+  setRoomThermPoint(homeId, roomId, temp, duration) {
+    return this.setRoomOverride(homeId, roomId, {
+      mode: 'manual',
+      temp,
+      duration,
     });
   }
 
-  setRoomThermPoint(homeId, roomId, temp) {
-    return this.netatmo.setRoomThermPoint({
+  async setRoomOverride(homeId, roomId, { mode, temp, duration }) {
+    await this.netatmo.setRoomThermPoint({
       homeId,
       roomId,
-      mode: 'manual',
+      mode,
       temp,
+      endtime: getEndTime(duration),
     });
+    this.pollSoon();
+  }
+
+  async setRoomMode(homeId, roomId, value) {
+    await this.netatmo.setRoomThermPoint({
+      homeId,
+      roomId,
+      mode: value === 'off' ? 'off' : 'home',
+    });
+    this.pollSoon();
+  }
+
+  // Sets the heating and cooling setpoints of a room at once, which rooms with an AC
+  // controller need.
+  async setRoomState(homeId, roomId, state) {
+    await this.netatmo.setRoomState({ homeId, roomId, ...state });
+    this.pollSoon();
   }
 
-  setThermostatMode(homeId, value) {
-    const mode = value === 'off' ? 'away' : 'schedule';
-    return this.netatmo.setThermostatMode({ homeId, mode });
+  async setHomeMode(homeId, mode, duration) {
+    // Netatmo only supports an end time for the away and frost guard modes.
+    const endtime = mode !== 'schedule' ? getEndTime(duration) : undefined;
+
+    await this.netatmo.setThermostatMode({ homeId, mode, endtime });
+    // The home mode is part of the topology.
+    this.pollSoon(true);
+  }
+
+  async getSchedules(homeId) {
+    const [home] = await this.netatmo.getHomeData(homeId);
+    if (!home) {
+      throw new Error(`Unknown home ${homeId}`);
+    }
+
+    return getHeatingSchedules(home);
+  }
+
+  async switchSchedule(homeId, scheduleId) {
+    await this.netatmo.switchHomeSchedule({ homeId, scheduleId });
+    this.pollSoon(true);
+  }
+
+  async createSchedule(homeId, schedule) {
+    const result = await this.netatmo.createHomeSchedule({ homeId, ...schedule });
+    this.pollSoon(true);
+    return result;
+  }
+
+  async renameSchedule(homeId, scheduleId, name) {
+    await this.netatmo.renameHomeSchedule({ homeId, scheduleId, name });
+    this.pollSoon(true);
+  }
+
+  async deleteSchedule(homeId, scheduleId) {
+    await this.netatmo.deleteHomeSchedule({ homeId, scheduleId });
+    this.pollSoon(true);
+  }
+
+  async syncSchedule(homeId, scheduleId, schedule) {
+    await this.netatmo.syncHomeSchedule({ homeId, scheduleId, ...schedule });
+    this.pollSoon(true);
+  }
+
+  // Returns one row per measurement time, with a column for each requested type.
+  async getRoomMeasures(homeId, roomId, { scale, types, dateBegin, dateEnd }) {
+    const measures = await this.netatmo.getRoomMeasure({
+      homeId,
+      roomId,
+      scale,
+      types,
+      dateBegin,
+      dateEnd,
+    });
+
+    return Object.keys(measures || {})
+      .sort((a, b) => a - b)
+      .map((timestamp) => {
+        const row = {
+          time: formatTimestamp(Number(timestamp)),
+        };
+        types.forEach((type, index) => {
+          row[type] = measures[timestamp][index];
+        });
+        return row;
+      });
   }
 }
 
@@ -333,9 +1737,45 @@ class CallbackAPIHandler extends APIHandler {
     super(addonManager, packageName);
     addonManager.addAPIHandler(this);
 
+    this.adapters = [];
     this.listeners = new Map();
   }
 
+  addAdapter(adapter) {
+    this.adapters.push(adapter);
+  }
+
+  removeAdapter(adapter) {
+    this.adapters = this.adapters.filter((other) => other !== adapter);
+  }
+
+  // Requests without an account go to the first one.
+  getAdapter(accountId) {
+    if (!accountId) {
+      return this.adapters[0];
+    }
+
+    return this.adapters.find((adapter) => adapter.account.id === accountId);
+  }
+
+  getAdapterForHome(homeId) {
+    return this.adapters.find((adapter) => adapter.netatmoDevices[homeId]);
+  }
+
+  getDiagnostics() {
+    return {
+      version: this.adapters.length ? this.adapters[0].manifest.version : null,
+      created: new Date().toISOString(),
+      accounts: this.adapters.map((adapter) => adapter.getDiagnostics()),
+    };
+  }
+
+  getStatus() {
+    return {
+      accounts: this.adapters.map((adapter) => adapter.getStatus()),
+    };
+  }
+
   addListener(listener) {
     this.listeners.set(listener.id, listener);
   }
@@ -351,36 +1791,665 @@ class CallbackAPIHandler extends APIHandler {
   }
 
   async handleRequest(request) {
+    const schedulesMatch = request.path.match(SCHEDULES_ROUTE);
+    if (schedulesMatch) {
+      const adapter = this.getAdapterForHome(schedulesMatch[1]);
+      if (!adapter) {
+        return jsonResponse({ error: `Unknown home ${schedulesMatch[1]}` }, 404);
+      }
+
+      try {
+        return await this.handleSchedulesRequest(adapter, request, schedulesMatch);
+      } catch (error) {
+        console.error('Schedule request failed:', error);
+        return jsonResponse({ error: error.message }, 500);
+      }
+    }
+
+    if (request.method === 'GET' && request.path === '/status') {
+      return jsonResponse(this.getStatus());
+    }
+
+    if (request.method === 'GET' && request.path === '/diagnostics') {
+      const query = request.query || {};
+      const diagnostics = this.getDiagnostics();
+      return jsonResponse(query.anonymize === 'true' ? anonymizeIds(diagnostics) : diagnostics);
+    }
+
+    if (request.method === 'POST' && ACCOUNT_ROUTES.includes(request.path)) {
+      const body = request.body || {};
+      const adapter = this.getAdapter(body.account);
+      if (!adapter) {
+        return jsonResponse({ error: `Unknown account ${body.account}` }, 404);
+      }
+
+      try {
+        return jsonResponse(await this.handleAccountRequest(adapter, request.path, body));
+      } catch (error) {
+        console.error('Account request failed:', error);
+        return jsonResponse({ error: error.message }, 500);
+      }
+    }
+
+    if (request.method === 'POST' && request.path === '/webhook') {
+      const query = request.query || {};
+      const adapter = this.adapters.find((candidate) => candidate.isWebhookAuthentic(query.secret));
+      if (!adapter) {
+        return new APIResponse({ status: 403 });
+      }
+
+      adapter.handleWebhookEvent(request.body || {});
+      return jsonResponse({});
+    }
+
+    const measuresMatch = request.path.match(MEASURES_ROUTE);
+    if (measuresMatch && request.method === 'GET') {
+      const adapter = this.getAdapterForHome(measuresMatch[1]);
+      if (!adapter) {
+        return jsonResponse({ error: `Unknown home ${measuresMatch[1]}` }, 404);
+      }
+
+      try {
+        return await this.handleMeasuresRequest(adapter, request, measuresMatch);
+      } catch (error) {
+        console.error('Measures request failed:', error);
+        return jsonResponse({ error: error.message }, 500);
+      }
+    }
+
     if (request.method !== 'POST' || request.path !== '/callback') {
       return new APIResponse({ status: 404 });
     }
 
+    // The state tells which account the authorization was started for.
+    const data = request.body || {};
+    const adapter = this.adapters.find((candidate) => {
+      return candidate.pairingListener && candidate.pairingListener.state === data.state;
+    });
+    if (!adapter) {
+      return jsonResponse({ error: 'No authorization is in progress, please start it again' }, 409);
+    }
+
+    const authentication = adapter.authentication;
     this.emit({
       type: CALLBACK_SUCCEEDED,
-      data: request.body,
+      data,
     });
 
-    return new APIResponse({
-      status: 200,
-      contentType: 'application/json',
-      content: JSON.stringify({}),
+    try {
+      await authentication;
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+
+    return jsonResponse({});
+  }
+
+  // All of them act on the account given as `account` in the body.
+  // POST /authorize       starts authorizing the adapter again and returns the URL to open
+  // POST /authorize/code  completes the authorization from the pasted `code`, which may
+  //                       also be the whole URL Netatmo redirected to
+  // POST /disconnect      forgets the tokens of the Netatmo account
+  // POST /refresh         polls Netatmo right away and returns the new status
+  // POST /remove          removes the account and its devices
+  async handleAccountRequest(adapter, path, body) {
+    switch (path) {
+      case '/authorize': {
+        const url = await adapter.startAuthentication();
+        if (!url) {
+          throw new Error('Authorization is not possible');
+        }
+
+        return { url };
+      }
+      case '/authorize/code':
+        if (!body.code) {
+          throw new Error('The code or redirected URL is missing');
+        }
+
+        await adapter.authenticateWithCode(body.code);
+        return this.getStatus();
+      case '/disconnect':
+        await adapter.disconnect();
+        return this.getStatus();
+      case '/refresh':
+        await adapter.updateHomeData();
+        return this.getStatus();
+      case '/remove':
+        await adapter.removeAccount();
+        return this.getStatus();
+    }
+  }
+
+  // GET    /homes/:homeId/schedules                     lists the heating schedules
+  // POST   /homes/:homeId/schedules                     creates a schedule
+  // PUT    /homes/:homeId/schedules/:scheduleId         syncs timetable, zones and name
+  // PATCH  /homes/:homeId/schedules/:scheduleId         renames a schedule
+  // DELETE /homes/:homeId/schedules/:scheduleId         deletes a schedule
+  // POST   /homes/:homeId/schedules/:scheduleId/select  makes a schedule the active one
+  async handleSchedulesRequest(adapter, request, [, homeId, scheduleId, select]) {
+    const body = request.body || {};
+
+    if (!scheduleId) {
+      if (request.method === 'GET') {
+        return jsonResponse(await adapter.getSchedules(homeId));
+      }
+
+      if (request.method === 'POST') {
+        if (!body.name || !Array.isArray(body.timetable) || !Array.isArray(body.zones)) {
+          return jsonResponse({ error: 'name, timetable and zones are required' }, 400);
+        }
+
+        return jsonResponse(await adapter.createSchedule(homeId, parseSchedule(body)));
+      }
+    } else if (select) {
+      if (request.method === 'POST') {
+        await adapter.switchSchedule(homeId, scheduleId);
+        return jsonResponse({});
+      }
+    } else if (request.method === 'PUT') {
+      if (!Array.isArray(body.timetable) || !Array.isArray(body.zones)) {
+        return jsonResponse({ error: 'timetable and zones are required' }, 400);
+      }
+
+      await adapter.syncSchedule(homeId, scheduleId, parseSchedule(body));
+      return jsonResponse({});
+    } else if (request.method === 'PATCH') {
+      if (!body.name) {
+        return jsonResponse({ error: 'name is required' }, 400);
+      }
+
+      await adapter.renameSchedule(homeId, scheduleId, body.name);
+      return jsonResponse({});
+    } else if (request.method === 'DELETE') {
+      await adapter.deleteSchedule(homeId, scheduleId);
+      return jsonResponse({});
+    }
+
+    return new APIResponse({ status: 405 });
+  }
+
+  // GET /homes/:homeId/rooms/:roomId/measures?scale=1hour&type=temperature,sp_temperature
+  //     &date_begin=2021-01-01T00:00:00Z&date_end=2021-01-02T00:00:00Z&format=csv
+  async handleMeasuresRequest(adapter, request, [, homeId, roomId]) {
+    const query = request.query || {};
+    const scale = query.scale || '1hour';
+    const types = (query.type || 'temperature').split(',');
+    const dateBegin = parseDate(query.date_begin);
+    const dateEnd = parseDate(query.date_end);
+
+    if (!MEASURE_SCALES.includes(scale)) {
+      return jsonResponse({ error: `scale must be one of ${MEASURE_SCALES.join(', ')}` }, 400);
+    }
+
+    if (types.some((type) => !MEASURE_TYPES.includes(type))) {
+      return jsonResponse({ error: `type must be a list of ${MEASURE_TYPES.join(', ')}` }, 400);
+    }
+
+    if (Number.isNaN(dateBegin) || Number.isNaN(dateEnd)) {
+      return jsonResponse({ error: 'date_begin and date_end must be dates or unix timestamps' }, 400);
+    }
+
+    const rows = await adapter.getRoomMeasures(homeId, roomId, {
+      scale,
+      types,
+      dateBegin,
+      dateEnd,
     });
+
+    if (query.format === 'csv') {
+      return new APIResponse({
+        status: 200,
+        contentType: 'text/csv',
+        content: toCsv(['time', ...types], rows),
+      });
+    }
+
+    return jsonResponse(rows);
   }
 }
 
 class CallbackListener {
-  constructor(id) {
+  constructor(id, state, timeout) {
     this.id = id;
-    this.successPromise = new Promise((resolve) => {
+    this.state = state;
+    this.successPromise = new Promise((resolve, reject) => {
       this.resolvePromise = resolve;
+      this.rejectPromise = reject;
     });
+    this.timeout = setTimeout(() => {
+      this.rejectPromise(new Error('Authorization timed out, please start it again'));
+    }, timeout);
+  }
+
+  cancel() {
+    clearTimeout(this.timeout);
+    this.rejectPromise(new Error('Pairing was cancelled'));
   }
 
+  // Several accounts may be authorized at the same time, only take the redirect of
+  // the authorization this listener waits for.
   handleEvent(msg) {
-    if (msg.type === CALLBACK_SUCCEEDED) {
-      this.resolvePromise(msg.data);
+    if (msg.type === CALLBACK_SUCCEEDED && msg.data.state === this.state) {
+      this.complete(msg.data);
+    }
+  }
+
+  complete(data) {
+    clearTimeout(this.timeout);
+    this.resolvePromise(data);
+  }
+}
+
+// Accepts the bare code as well as the URL Netatmo redirected to, or just its query.
+function parseAuthorizationInput(input) {
+  const value = String(input).trim();
+  if (!value.includes('=')) {
+    return { code: value };
+  }
+
+  const query = value.includes('?') ? value.slice(value.indexOf('?') + 1) : value;
+  const params = new URLSearchParams(query.split('#')[0]);
+  const data = {};
+  for (const key of ['code', 'state', 'error']) {
+    if (params.has(key)) {
+      data[key] = params.get(key);
     }
   }
+  return data;
+}
+
+// Leaves out the secrets of an account and what the add-on stores for itself.
+function redactConfig(config) {
+  const redacted = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (CACHED_SETTINGS.includes(key)) {
+      continue;
+    }
+
+    if (SECRET_SETTINGS.includes(key)) {
+      redacted[key] = value ? '[redacted]' : value;
+    } else if (key === 'accounts' && Array.isArray(value)) {
+      redacted[key] = value.map((account) => redactConfig(account));
+    } else {
+      redacted[key] = value;
+    }
+  }
+
+  return redacted;
+}
+
+// Replaces the IDs of homes, rooms, modules and schedules with numbered placeholders
+// and leaves out where the homes are. Module IDs are the MAC addresses of the devices.
+// IDs are only replaced as whole values or keys, and as parts of device IDs, so a short
+// room ID does not change unrelated numbers.
+function anonymizeIds(diagnostics) {
+  const replacements = new Map();
+  const counts = {};
+  const add = (id, kind) => {
+    if (id && !replacements.has(String(id))) {
+      counts[kind] = (counts[kind] || 0) + 1;
+      replacements.set(String(id), `${kind}-${counts[kind]}`);
+    }
+  };
+
+  diagnostics.accounts.forEach((account) => {
+    (account.homesdata || []).forEach((home) => {
+      add(home.id, 'home');
+      (home.rooms || []).forEach((room) => add(room.id, 'room'));
+      (home.modules || []).forEach((module) => add(module.id, 'module'));
+      (home.schedules || []).forEach((schedule) => add(schedule.id, 'schedule'));
+    });
+  });
+
+  const replaceText = (text) => replacements.get(text) || text;
+  // Device IDs join the IDs with dashes, such as thermostat-room-<home>-<room>.
+  const replaceDeviceId = (id) => id.split('-').map(replaceText).join('-');
+  const replace = (value) => {
+    if (typeof value === 'string') {
+      return replaceText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(replace);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value)
+        .filter(([key]) => !LOCATION_FIELDS.includes(key))
+        .map(([key, child]) => [replaceText(key), replace(child)]));
+    }
+    return value;
+  };
+
+  return replace({
+    ...diagnostics,
+    accounts: diagnostics.accounts.map((account) => ({
+      ...account,
+      devices: account.devices.map((device) => ({
+        ...device,
+        key: replaceDeviceId(device.key),
+        id: replaceDeviceId(device.id),
+      })),
+    })),
+  });
+}
+
+// Leaves out the homes and rooms the config excludes or does not include, matched by
+// ID or name. Rooms without any supported module can be skipped as well.
+function filterHomes(homeData, config) {
+  return homeData
+    .filter((home) => isIncluded(home, config.includeHomes, config.excludeHomes))
+    .map((home) => ({
+      ...home,
+      rooms: (home.rooms || []).filter((room) => {
+        if (config.skipEmptyRooms && !home.modules.some((module) => {
+          return module.room_id === room.id && AVAILABLE_TYPES.includes(module.type);
+        })) {
+          return false;
+        }
+
+        return isIncluded(room, config.includeRooms, config.excludeRooms);
+      }),
+    }));
+}
+
+function isIncluded(entity, include, exclude) {
+  if (Array.isArray(include) && include.length && !matchesEntity(entity, include)) {
+    return false;
+  }
+
+  return !matchesEntity(entity, exclude);
+}
+
+// Whether any entry of the list is the ID or name of the home or room.
+function matchesEntity(entity, list) {
+  return Array.isArray(list) && list.some((entry) => {
+    const value = String(entry).trim().toLowerCase();
+    return value === String(entity.id).toLowerCase() || value === String(entity.name || '').toLowerCase();
+  });
+}
+
+function formatTimestamp(timestamp) {
+  if (!timestamp) {
+    return '';
+  }
+
+  return new Date(timestamp * 1000).toISOString();
+}
+
+// Converts a duration in minutes to an end time as expected by Netatmo. A duration of
+// 0 means the setting has no end time.
+function getEndTime(duration) {
+  if (!duration || duration <= 0) {
+    return undefined;
+  }
+
+  return Math.floor(Date.now() / 1000) + duration * 60;
+}
+
+function mapRoomToThermostatMode(room, cooling) {
+  if (cooling && OVERRIDE_MODES.includes(room.cooling_setpoint_mode)) {
+    return 'cool';
+  }
+
+  if (cooling && room.cooling_setpoint_mode === 'off' && room.therm_setpoint_mode === 'off') {
+    return 'off';
+  }
+
+  return mapSetpointModeToThermostatMode(room.therm_setpoint_mode);
+}
+
+function mapSetpointModeToThermostatMode(setpointMode) {
+  if (setpointMode === 'off') {
+    return 'off';
+  }
+
+  if (setpointMode === 'manual' || setpointMode === 'max') {
+    return 'heat';
+  }
+
+  return 'auto';
+}
+
+function createRoomDevice(adapter, home, room) {
+  const id = `${home.id}-${room.id}`;
+  const scale = adapter.temperatureScale;
+  const roomLimits = (adapter.config.roomLimits || []).find((entry) => matchesEntity(room, [entry.room])) || {};
+  const { minimum, maximum } = scale.getLimits(roomLimits.minimum, roomLimits.maximum);
+
+  return new RoomDevice(adapter, `${adapter.account.prefix}${DEVICE_PREFIX}${id}`, {
+    '@type': ['Thermostat'],
+    title: `${home.name} - ${room.name}`,
+    description: `${home.name} - ${room.name}`,
+    frostGuardTemperature: getFrostGuardTemperature(home),
+    properties: {
+      temperature: {
+        '@type': 'TemperatureProperty',
+        title: 'Current Temperature',
+        type: 'number',
+        unit: scale.unit,
+        precision: 1,
+        readOnly: true,
+      },
+      targetTemperature: {
+        '@type': 'TargetTemperatureProperty',
+        title: 'Target Temperature',
+        type: 'number',
+        unit: scale.unit,
+        precision: 1,
+        multipleOf: scale.step,
+        minimum,
+        maximum,
+      },
+      heating: {
+        '@type': 'HeatingCoolingProperty',
+        title: 'Heating',
+        type: 'string',
+        readOnly: true,
+      },
+      mode: {
+        '@type': 'ThermostatModeProperty',
+        title: 'Mode',
+        type: 'string',
+        enum: ['auto', 'heat', 'off'],
+      },
+      overrideDuration: {
+        title: 'Override Duration',
+        description: 'How long a manually set target temperature is kept, 0 keeps it until changed',
+        type: 'integer',
+        unit: 'minute',
+        minimum: 0,
+        multipleOf: 1,
+        value: home.therm_setpoint_default_duration || 0,
+      },
+      setpointMode: {
+        title: 'Setpoint Mode',
+        type: 'string',
+        readOnly: true,
+      },
+      setpointEndTime: {
+        title: 'Override Until',
+        type: 'string',
+        readOnly: true,
+      },
+      heatingPowerRequest: {
+        title: 'Heating Demand',
+        type: 'integer',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+        multipleOf: 1,
+        readOnly: true,
+      },
+      openWindow: {
+        '@type': 'OpenProperty',
+        title: 'Window Open',
+        type: 'boolean',
+        readOnly: true,
+      },
+      anticipating: {
+        title: 'Anticipating',
+        description: 'Heating early to reach the next scheduled temperature in time',
+        type: 'boolean',
+        readOnly: true,
+      },
+      lastUpdated: {
+        title: 'Last Updated',
+        type: 'string',
+        readOnly: true,
+      },
+      pendingChange: {
+        title: 'Change Pending',
+        description: 'A change is being sent to Netatmo or was not confirmed by it yet',
+        type: 'boolean',
+        readOnly: true,
+        value: false,
+      },
+      ...getStatisticsProperties(),
+    },
+  });
+}
+
+// Properties of the heating statistics. Energy and costs are only estimated for homes
+// with a configured boiler power.
+function getStatisticsProperties(config = {}) {
+  const properties = {
+    heatingMinutesToday: {
+      title: 'Heating Today',
+      type: 'integer',
+      unit: 'minute',
+      minimum: 0,
+      readOnly: true,
+    },
+    heatingMinutesYesterday: {
+      title: 'Heating Yesterday',
+      type: 'integer',
+      unit: 'minute',
+      minimum: 0,
+      readOnly: true,
+    },
+    averageDemandWeek: {
+      title: 'Average Demand This Week',
+      type: 'integer',
+      unit: 'percent',
+      minimum: 0,
+      maximum: 100,
+      readOnly: true,
+    },
+  };
+
+  if (config.boilerPower > 0) {
+    Object.assign(properties, {
+      energyToday: {
+        title: 'Estimated Energy Today',
+        type: 'number',
+        unit: 'kilowatt hour',
+        precision: 2,
+        readOnly: true,
+      },
+      energyYesterday: {
+        title: 'Estimated Energy Yesterday',
+        type: 'number',
+        unit: 'kilowatt hour',
+        precision: 2,
+        readOnly: true,
+      },
+    });
+  }
+
+  if (config.boilerPower > 0 && config.energyPrice > 0) {
+    Object.assign(properties, {
+      costToday: {
+        title: 'Estimated Cost Today',
+        type: 'number',
+        precision: 2,
+        readOnly: true,
+      },
+      costYesterday: {
+        title: 'Estimated Cost Yesterday',
+        type: 'number',
+        precision: 2,
+        readOnly: true,
+      },
+    });
+  }
+
+  return properties;
+}
+
+function jsonResponse(content, status = 200) {
+  return new APIResponse({
+    status,
+    contentType: 'application/json',
+    content: JSON.stringify(content),
+  });
+}
+
+// Accepts unix timestamps in seconds as well as anything Date can parse. Returns
+// undefined for missing dates and NaN for invalid ones.
+function parseDate(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  return Math.floor(Date.parse(value) / 1000);
+}
+
+function toCsv(columns, rows) {
+  const lines = rows.map((row) => columns.map((column) => row[column] ?? '').join(','));
+  return [columns.join(','), ...lines].join('\n');
+}
+
+function parseSchedule(body) {
+  return {
+    name: body.name,
+    timetable: body.timetable,
+    zones: body.zones,
+    hgTemp: body.hg_temp,
+    awayTemp: body.away_temp,
+  };
+}
+
+// Keeps what restoreDevices needs of the cached state. Schedules are only needed for
+// their names and frost guard temperature, their timetables make up most of the data.
+function getRestoreState({ homes, homeStatus }) {
+  return {
+    homes: homes && homes.map((home) => ({
+      ...home,
+      schedules: (home.schedules || []).map(({ id, name, type, selected, hg_temp }) => ({
+        id,
+        name,
+        type,
+        selected,
+        hg_temp,
+      })),
+    })),
+    homeStatus,
+  };
+}
+
+// Homes can also contain schedules for other products, like event schedules.
+function getHeatingSchedules(home) {
+  return (home.schedules || []).filter((schedule) => !schedule.type || schedule.type === 'therm');
+}
+
+// Netatmo keeps rooms at this temperature in frost guard mode.
+function getFrostGuardTemperature(home) {
+  const schedule = getHeatingSchedules(home).find((s) => s.selected);
+  return (schedule && schedule.hg_temp) || FROST_PROTECTION_TEMPERATURE;
+}
+
+function getActiveScheduleName(home) {
+  const schedule = getHeatingSchedules(home).find((s) => s.selected);
+  return schedule ? schedule.name : '';
+}
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
 }
 
 function clamp(num, max = 100, min = 0) {
@@ -390,30 +2459,46 @@ function clamp(num, max = 100, min = 0) {
 // Netatmo documents the expected good to bad ranges to be 30 units. However the strength
 // can be reported as better than good, thus the value needs to be clamped.
 function mapSignalToPercent(signal, min, range = 30) {
-  return clamp(((min - signal) / range) * 90 + 10);
+  return Math.round(clamp(((min - signal) / range) * 90 + 10));
 }
 
 function mapRfToPercent(rf) {
   return mapSignalToPercent(rf, 90);
 }
 
+function mapWifiToPercent(wifi) {
+  return mapSignalToPercent(wifi, 86);
+}
+
+// Battery voltages in mV per module type. Types without an entry are mains powered.
+// Make sure these are sorted
+const BATTERY_LEVELS = {
+  NRV: {
+    empty: 2200,
+    low: 2200,
+    medium: 2400,
+    high: 2700,
+    full: 3200,
+  },
+  NATherm1: {
+    empty: 2800,
+    low: 3000,
+    medium: 3300,
+    high: 3600,
+    full: 4100,
+  },
+};
+
+function hasBattery(moduleType) {
+  return BATTERY_LEVELS.hasOwnProperty(moduleType);
+}
+
 // Adapted from HomeAssistant
 // https://github.com/home-assistant/core/blob/e32a57ce48c3ac778a5254bf244912081d9d654a/homeassistant/components/netatmo/climate.py#L526
 function interpolateBattery(batteryLevel, moduleType) {
-  // Make sure these are sorted
-  const LEVELS = {
-    NRV: {
-      empty: 2200,
-      low: 2200,
-      medium: 2400,
-      high: 2700,
-      full: 3200,
-    },
-  };
-
   const steps = [20, 50, 80, 100];
 
-  const levelDefinition = LEVELS[moduleType];
+  const levelDefinition = BATTERY_LEVELS[moduleType];
   const levels = Object.values(levelDefinition);
 
   if (batteryLevel >= levelDefinition['full']) {
@@ -438,4 +2523,7 @@ function interpolateBattery(batteryLevel, moduleType) {
   return Math.floor(pct);
 }
 
-module.exports = NetatmoEnergyAdapter;
+module.exports = {
+  CallbackAPIHandler,
+  NetatmoEnergyAdapter,
+};
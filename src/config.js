@@ -8,24 +8,134 @@
 
 const { Database } = require('gateway-addon');
 
+const DEFAULT_ACCOUNT = 'default';
+
+// Settings that belong to one Netatmo account. Everything else in the config is
+// shared by all accounts.
+const ACCOUNT_SETTINGS = [
+  'accounts',
+  'account_name',
+  'authorization_code',
+  'client_id',
+  'client_secret',
+  'expires',
+  'heating_statistics',
+  'refresh_token',
+  'simulation',
+  'state_cache',
+  'token',
+];
+
 module.exports = {
+  DEFAULT_ACCOUNT,
   addToConfig,
+  getAccounts,
+  removeAccountFromConfig,
 };
 
-async function addToConfig(packageName, config) {
+// Without an account name the config is merged at the top level, which holds the
+// default account. Otherwise it is merged into the named entry of `accounts`.
+async function addToConfig(packageName, config, accountName) {
+  await updateConfig(packageName, (existingConfig) => {
+    if (!accountName) {
+      return {
+        ...existingConfig,
+        ...config,
+      };
+    }
+
+    return {
+      ...existingConfig,
+      accounts: (existingConfig.accounts || []).map((account) => {
+        return account.name === accountName ? { ...account, ...config } : account;
+      }),
+    };
+  });
+}
+
+async function removeAccountFromConfig(packageName, accountName) {
+  await updateConfig(packageName, (existingConfig) => {
+    if (!accountName) {
+      return {
+        ...existingConfig,
+        client_id: '',
+        client_secret: '',
+        token: '',
+        refresh_token: '',
+        expires: 0,
+        heating_statistics: {},
+        state_cache: {},
+      };
+    }
+
+    return {
+      ...existingConfig,
+      accounts: (existingConfig.accounts || []).filter((account) => account.name !== accountName),
+    };
+  });
+}
+
+// Updates load the config, change it and save it again. They run one after the other,
+// so two accounts or a token refresh and the saved state can not overwrite each other.
+let configUpdates = Promise.resolve();
+
+function updateConfig(packageName, update) {
+  configUpdates = configUpdates.then(() => saveConfig(packageName, update));
+  return configUpdates;
+}
+
+async function saveConfig(packageName, update) {
   try {
     const database = new Database(packageName);
     await database.open();
 
     const existingConfig = await database.loadConfig();
-    const mergedConfig = {
-      ...existingConfig,
-      ...config,
-    };
-
-    await database.saveConfig(mergedConfig);
+    await database.saveConfig(update(existingConfig));
     await database.close();
   } catch (error) {
     console.error('SAVING_CONFIG_FAILED', error);
   }
 }
+
+// Returns the Netatmo accounts to connect. The default one is configured at the top
+// level and keeps device IDs without an account prefix, the ones in `accounts` get
+// their own prefix derived from their name.
+function getAccounts(config) {
+  const entries = Array.isArray(config.accounts) ? config.accounts : [];
+  const accounts = [];
+
+  if (config.client_id || config.simulation || !entries.length) {
+    accounts.push({
+      id: DEFAULT_ACCOUNT,
+      name: config.account_name || 'Netatmo',
+      // Passed to addToConfig to store settings of this account.
+      configName: undefined,
+      prefix: '',
+      config,
+    });
+  }
+
+  const shared = Object.fromEntries(Object.entries(config)
+    .filter(([key]) => !ACCOUNT_SETTINGS.includes(key)));
+
+  entries.forEach((entry) => {
+    const id = String(entry.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+    if (!id || id === DEFAULT_ACCOUNT || accounts.some((account) => account.id === id)) {
+      console.error(`Ignoring Netatmo account "${entry.name}", its name has to be unique`);
+      return;
+    }
+
+    accounts.push({
+      id,
+      name: entry.name,
+      configName: entry.name,
+      prefix: `${id}-`,
+      config: {
+        ...shared,
+        ...entry,
+      },
+    });
+  });
+
+  return accounts;
+}
@@ -0,0 +1,82 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+// Error codes from https://dev.netatmo.com/apidocumentation/general#status-ok
+const AUTH_ERROR_CODES = [
+  1, // Access token missing
+  2, // Invalid access token
+  3, // Access token expired
+];
+const INTERNAL_ERROR_CODES = [
+  4,
+  11,
+];
+const RATE_LIMIT_ERROR_CODE = 26;
+
+class NetatmoError extends Error {
+  constructor(message, { status, code, retryable = false } = {}) {
+    super(message);
+    this.name = 'NetatmoError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+class NetatmoAuthError extends NetatmoError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetatmoAuthError';
+  }
+}
+
+class NetatmoRateLimitError extends NetatmoError {
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, options);
+    this.name = 'NetatmoRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+class NetatmoNetworkError extends NetatmoError {
+  constructor(message, options) {
+    super(message, { retryable: true, ...options });
+    this.name = 'NetatmoNetworkError';
+  }
+}
+
+// Turns a failed response into the matching error. Netatmo reports errors as
+// { error: { code, message } }, the OAuth endpoints as { error: 'invalid_grant' }.
+function fromResponse(label, status, data, retryAfter) {
+  const error = (data && data.error) || {};
+  const code = typeof error === 'object' ? error.code : error;
+  const description = (typeof error === 'object' ? error.message : data.error_description) || `status ${status}`;
+  const message = `${label} failed: ${description}`;
+
+  if (status === 429 || code === RATE_LIMIT_ERROR_CODE) {
+    return new NetatmoRateLimitError(message, { status, code, retryAfter });
+  }
+
+  if (status === 401 || AUTH_ERROR_CODES.includes(code) || (status === 403 && code === undefined)) {
+    return new NetatmoAuthError(message, { status, code });
+  }
+
+  return new NetatmoError(message, {
+    status,
+    code,
+    retryable: status >= 500 || INTERNAL_ERROR_CODES.includes(code),
+  });
+}
+
+module.exports = {
+  NetatmoError,
+  NetatmoAuthError,
+  NetatmoRateLimitError,
+  NetatmoNetworkError,
+  fromResponse,
+};
@@ -7,9 +7,10 @@
 (function() {
   'use strict';
 
-  class CallbackExtension extends window.Extension {
+  class NetatmoExtension extends window.Extension {
     constructor() {
       super('netatmo-energy-adapter');
+      this.addMenuEntry('Netatmo Energy');
 
       if (!window.Extension.prototype.hasOwnProperty('load')) {
         this.load();
@@ -18,19 +19,36 @@
 
     load() {
       this.content = '';
-      return fetch(`/extensions/${this.id}/src/views/callback.html`)
-        .then((res) => res.text())
-        .then((text) => {
-          this.content = text;
+      this.statusContent = '';
+      return Promise.all([
+        this.fetchView('callback.html'),
+        this.fetchView('status.html'),
+      ])
+        .then(([callback, status]) => {
+          this.content = callback;
+          this.statusContent = status;
         })
         .catch((e) => console.error('Failed to fetch content:', e));
     }
 
-    show() {
-      this.view.innerHTML = this.content;
+    fetchView(name) {
+      return fetch(`/extensions/${this.id}/src/views/${name}`)
+        .then((res) => res.text());
+    }
 
+    show() {
       const queryParams = new URLSearchParams(window.location.search);
-      const queryData = Object.fromEntries(queryParams.entries());
+
+      // Netatmo redirects back to the extension with the state of the authorization.
+      if (queryParams.has('state')) {
+        this.showCallback(Object.fromEntries(queryParams.entries()));
+      } else {
+        this.showStatus();
+      }
+    }
+
+    showCallback(queryData) {
+      this.view.innerHTML = this.content;
 
       window.API.postJson(`/extensions/${this.id}/api/callback`, queryData)
         .then(() => {
@@ -38,9 +56,174 @@
           status.innerHTML = "<h1>Done! You may close this tab now.</h1>";
         }).catch((error) => {
           console.log(error);
+          const status = document.querySelector('#status');
+          status.textContent = `Authorization failed: ${error.message}. Start it again from the Netatmo Energy page.`;
         });
     }
+
+    showStatus() {
+      this.view.innerHTML = this.statusContent;
+      document.querySelector('#netatmo-diagnostics')
+        .addEventListener('click', () => this.downloadDiagnostics());
+
+      window.API.getJson(`/extensions/${this.id}/api/status`)
+        .then((status) => this.renderStatus(status))
+        .catch((error) => this.showMessage(`Failed to load the status: ${error.message}`));
+    }
+
+    downloadDiagnostics() {
+      const anonymize = document.querySelector('#netatmo-anonymize').checked;
+
+      window.API.getJson(`/extensions/${this.id}/api/diagnostics?anonymize=${anonymize}`)
+        .then((diagnostics) => {
+          const blob = new Blob([JSON.stringify(diagnostics, null, 2)], { type: 'application/json' });
+          const link = document.createElement('a');
+          link.href = URL.createObjectURL(blob);
+          link.download = 'netatmo-energy-diagnostics.json';
+          link.click();
+          setTimeout(() => URL.revokeObjectURL(link.href));
+        })
+        .catch((error) => this.showMessage(`Failed to load the diagnostics: ${error.message}`));
+    }
+
+    post(action, message, body = {}) {
+      this.showMessage(message);
+      return window.API.postJson(`/extensions/${this.id}/api/${action}`, body)
+        .catch((error) => {
+          this.showMessage(`Failed to ${action}: ${error.message}`);
+          throw error;
+        });
+    }
+
+    showMessage(message) {
+      document.querySelector('#netatmo-message').textContent = message;
+    }
+
+    renderStatus(status) {
+      const accounts = document.querySelector('#netatmo-accounts');
+      accounts.replaceChildren(...status.accounts.map((account) => this.renderAccount(account)));
+      if (!status.accounts.length) {
+        accounts.textContent = 'No Netatmo accounts configured.';
+      }
+
+      const unauthorized = status.accounts
+        .filter((account) => account.state === 'authorization required')
+        .map((account) => account.name);
+      if (unauthorized.length) {
+        this.showMessage(`Authorize ${unauthorized.join(', ')} again to get updates from Netatmo.`);
+      }
+    }
+
+    renderAccount(account) {
+      const template = document.querySelector('#netatmo-account-template');
+      const section = template.content.firstElementChild.cloneNode(true);
+      const find = (selector) => section.querySelector(selector);
+      const post = (action, message, body = {}) => this.post(action, message, {
+        account: account.id,
+        ...body,
+      });
+
+      find('.netatmo-name').textContent = account.name;
+      find('.netatmo-state').textContent = account.state;
+      find('.netatmo-token-expires').textContent = formatDate(account.tokenExpires);
+      find('.netatmo-last-poll').textContent = formatDate(account.lastPoll);
+
+      find('.netatmo-authorize').addEventListener('click', () => {
+        post('authorize', 'Opening Netatmo..')
+          .then(({ url }) => {
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.textContent = `Continue the authorization of ${account.name} at Netatmo`;
+            document.querySelector('#netatmo-message').replaceChildren(link);
+          });
+      });
+
+      find('.netatmo-code').addEventListener('submit', (event) => {
+        event.preventDefault();
+        const input = find('.netatmo-code-input');
+        if (!input.value.trim()) {
+          return;
+        }
+
+        post('authorize/code', 'Authorizing..', { code: input.value })
+          .then((status) => {
+            this.renderStatus(status);
+            this.showMessage(`${account.name} is authorized.`);
+          });
+      });
+
+      find('.netatmo-refresh').addEventListener('click', () => {
+        post('refresh', 'Refreshing..')
+          .then((status) => {
+            this.showMessage('');
+            this.renderStatus(status);
+          });
+      });
+
+      find('.netatmo-disconnect').addEventListener('click', () => {
+        if (!window.confirm(`Disconnect ${account.name}? The devices stay, but will not update until you authorize again.`)) {
+          return;
+        }
+
+        post('disconnect', 'Disconnecting..')
+          .then((status) => {
+            this.renderStatus(status);
+            this.showMessage(`${account.name} is disconnected.`);
+          });
+      });
+
+      find('.netatmo-remove').addEventListener('click', () => {
+        if (!window.confirm(`Remove ${account.name} and all of its devices?`)) {
+          return;
+        }
+
+        post('remove', 'Removing..')
+          .then((status) => {
+            this.renderStatus(status);
+            this.showMessage(`${account.name} is removed.`);
+          });
+      });
+
+      const homes = find('.netatmo-homes');
+      homes.replaceChildren(...account.homes.map((home) => {
+        const rooms = home.rooms.map((room) => createItem(
+          room.name,
+          room.modules.map((module) => createItem(`${module.name} (${module.type})`))
+        ));
+        const modules = home.modules.map((module) => createItem(`${module.name} (${module.type})`));
+        return createItem(home.name, rooms.concat(modules));
+      }));
+      if (!account.homes.length) {
+        homes.replaceChildren(createItem('No homes found'));
+      }
+
+      const errors = find('.netatmo-errors');
+      errors.replaceChildren(...account.errors.map((error) => createItem(`${formatDate(error.time)}: ${error.message}`)));
+      if (!account.errors.length) {
+        errors.replaceChildren(createItem('None'));
+      }
+
+      return section;
+    }
+  }
+
+  function createItem(text, children = []) {
+    const item = document.createElement('li');
+    item.textContent = text;
+
+    if (children.length) {
+      const list = document.createElement('ul');
+      list.replaceChildren(...children);
+      item.appendChild(list);
+    }
+
+    return item;
+  }
+
+  function formatDate(date) {
+    return date ? new Date(date).toLocaleString() : '-';
   }
 
-  new CallbackExtension();
+  new NetatmoExtension();
 })();
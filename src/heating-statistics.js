@@ -0,0 +1,99 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const MINUTE = 60 * 1000;
+// Gaps between two samples longer than this, for example while the gateway was off,
+// are not counted, as nothing is known about them. Polls can be further apart when
+// they back off, so the gap grows with the longest poll delay, leaving room for a
+// poll to be late.
+const MIN_SAMPLE_GAP = 60 * MINUTE;
+const WEEK_DAYS = 7;
+
+// Adds up the heating demand of rooms and homes over time, in buckets per local day.
+// The demand of a sample is assumed to last until the next one.
+class HeatingStatistics {
+  constructor(data, maxPollDelay = 0) {
+    this.data = data && typeof data === 'object' ? data : {};
+    this.maxSampleGap = Math.max(MIN_SAMPLE_GAP, 2 * maxPollDelay);
+  }
+
+  // demand is the heating power request in percent.
+  record(key, demand, time = Date.now()) {
+    const entry = this.data[key] || (this.data[key] = { days: {} });
+    const last = entry.last;
+    entry.last = { time, demand };
+
+    if (!last || time <= last.time || time - last.time > this.maxSampleGap) {
+      return;
+    }
+
+    const minutes = (time - last.time) / MINUTE;
+    const day = entry.days[getDay(time)] || (entry.days[getDay(time)] = {
+      heating: 0,
+      demand: 0,
+      sampled: 0,
+    });
+    day.heating += last.demand > 0 ? minutes : 0;
+    day.demand += minutes * last.demand / 100;
+    day.sampled += minutes;
+  }
+
+  // Returns the heating minutes of today and yesterday, the same weighted by the
+  // demand and the average demand in percent over the last seven days.
+  getSummary(key, time = Date.now()) {
+    const days = (this.data[key] || {}).days || {};
+    const today = days[getDay(time)] || {};
+    const yesterday = days[getDay(time, -1)] || {};
+
+    let demand = 0;
+    let sampled = 0;
+    for (let offset = 0; offset > -WEEK_DAYS; offset--) {
+      const day = days[getDay(time, offset)] || {};
+      demand += day.demand || 0;
+      sampled += day.sampled || 0;
+    }
+
+    return {
+      heatingMinutesToday: Math.round(today.heating || 0),
+      heatingMinutesYesterday: Math.round(yesterday.heating || 0),
+      demandMinutesToday: today.demand || 0,
+      demandMinutesYesterday: yesterday.demand || 0,
+      averageDemandWeek: sampled ? Math.round(demand / sampled * 100) : 0,
+    };
+  }
+
+  // Only keeps the days still needed for the weekly average, which also drops rooms
+  // and homes that were not seen for a week.
+  toJSON() {
+    const oldest = getDay(Date.now(), -WEEK_DAYS);
+    for (const [key, entry] of Object.entries(this.data)) {
+      for (const day of Object.keys(entry.days)) {
+        if (day < oldest) {
+          delete entry.days[day];
+        }
+      }
+
+      if (!Object.keys(entry.days).length && (!entry.last || getDay(entry.last.time) < oldest)) {
+        delete this.data[key];
+      }
+    }
+
+    return this.data;
+  }
+}
+
+function getDay(time, offset = 0) {
+  const date = new Date(time);
+  date.setDate(date.getDate() + offset);
+
+  const month = `${date.getMonth() + 1}`.padStart(2, '0');
+  const day = `${date.getDate()}`.padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+module.exports = HeatingStatistics;
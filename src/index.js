@@ -6,8 +6,13 @@
 
 'use strict';
 
-const NetatmoEnergyAdapter = require('./adapter');
+const { CallbackAPIHandler, NetatmoEnergyAdapter } = require('./adapter');
+const { getAccounts } = require('./config');
 
 module.exports = (addonManager, manifest) => {
-  new NetatmoEnergyAdapter(addonManager, manifest);
+  const apiHandler = new CallbackAPIHandler(addonManager, manifest.name);
+
+  for (const account of getAccounts(manifest.moziot.config)) {
+    new NetatmoEnergyAdapter(addonManager, manifest, account, apiHandler);
+  }
 };
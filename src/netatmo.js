@@ -6,14 +6,62 @@
 
 'use strict';
 
+const { EventEmitter } = require('events');
 const fetch = require('node-fetch');
 
 const { addToConfig } = require('./config');
-
-class Netatmo {
-  constructor(config, packageName) {
+const {
+  NetatmoError,
+  NetatmoAuthError,
+  NetatmoRateLimitError,
+  NetatmoNetworkError,
+  fromResponse,
+} = require('./errors');
+const RequestBudget = require('./request-budget');
+
+const DEFAULT_API_URL = 'https://api.netatmo.com/api';
+const DEFAULT_OAUTH_URL = 'https://api.netatmo.com/oauth2';
+
+const REQUEST_TIMEOUT = 20 * 1000;
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000;
+const REFRESH_RETRY_INTERVAL = 15 * 60 * 1000;
+// Only reads are retried after timeouts and server errors, as Netatmo may already have
+// processed a write, and sending it again could for example create a schedule twice.
+const RETRYABLE_PATHS = [
+  'getroommeasure',
+  'homesdata',
+  'homestatus',
+];
+
+const MAX_ERRORS = 20;
+
+const INVALID_GRANT = 'invalid_grant';
+const AUTH_REQUIRED = 'authRequired';
+
+// Netatmo allows 50 requests per 10 seconds and 500 per hour for each user, so every
+// account gets its own budget.
+const REQUEST_LIMITS = [
+  { count: 50, window: 10 * 1000 },
+  { count: 500, window: 60 * 60 * 1000 },
+];
+
+class Netatmo extends EventEmitter {
+  constructor(config, packageName, accountName) {
+    super();
     this.config = config;
     this.packageName = packageName;
+    this.accountName = accountName;
+    this.apiUrl = trimTrailingSlash(config.apiUrl || DEFAULT_API_URL);
+    this.oauthUrl = trimTrailingSlash(config.oauthUrl || DEFAULT_OAUTH_URL);
+    this.errors = [];
+    this.requestBudget = new RequestBudget(REQUEST_LIMITS);
+    // Timing of the token refreshes, for the diagnostics.
+    this.refreshTimes = {
+      lastRefresh: null,
+      lastRefreshFailure: null,
+      nextRefresh: null,
+    };
 
     if (this.config.refresh_token) {
       this.initRefresh();
@@ -21,10 +69,11 @@ class Netatmo {
   }
 
   initRefresh() {
+    clearTimeout(this.refreshInterval);
     const expiresIn = (this.config.expires || Date.now()) - Date.now();
     if (expiresIn > 0 && this.config.token) {
       console.log('Token still valid for:', expiresIn);
-      this.refreshInterval = setTimeout(() => this.refresh(), expiresIn);
+      this.scheduleRefresh(expiresIn);
     } else {
       this.refresh();
     }
@@ -34,16 +83,29 @@ class Netatmo {
     return addToConfig(this.packageName, {
       expires: this.config.expires,
       refresh_token: this.config.refresh_token,
-    });
+    }, this.accountName);
   }
 
-  async refresh() {
+  // Refreshes the access token. Concurrent callers share the same refresh.
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refreshToken().finally(() => {
+        delete this.refreshPromise;
+      });
+    }
+
+    return this.refreshPromise;
+  }
+
+  async refreshToken() {
     console.log('Starting token refresh');
+    clearTimeout(this.refreshInterval);
     delete this.refreshInterval;
-    this.config.token = '';
+    this.refreshTimes.nextRefresh = null;
 
     if (!this.config.refresh_token) {
       console.error('Can not refresh token.');
+      this.config.token = '';
       return;
     }
 
@@ -54,45 +116,113 @@ class Netatmo {
     body.append('client_id', this.config.client_id);
     body.append('client_secret', this.config.client_secret);
 
-    const response = await fetch('https://api.netatmo.com/oauth2/token', {
-      method: 'POST',
-      body,
-    });
+    for (let attempt = 0; attempt <= MAX_RETRIES; ++attempt) {
+      try {
+        await this.requestToken(body, 'Token Refresh');
+        console.log('Refreshed token until:', new Date(this.config.expires).toISOString());
+        this.refreshTimes.lastRefresh = new Date().toISOString();
+        return;
+      } catch (error) {
+        // Only a rejected refresh token means the user has to authorize again, anything
+        // else might be an outage that passes.
+        if (error.code === INVALID_GRANT) {
+          console.error('Refresh token was rejected, authorization is required.');
+          this.config.token = '';
+          this.config.refresh_token = '';
+          await this.updateConfig();
+          this.emit(AUTH_REQUIRED);
+          return;
+        }
+
+        console.error('Failed to refresh token:', error.message);
+        this.recordError(error);
+        if (attempt < MAX_RETRIES) {
+          await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY * Math.pow(2, attempt)));
+        }
+      }
+    }
 
-    if (!response.ok || response.status !== 200) {
-      console.error('Failed to refresh token.');
-      this.config.token = '';
-      this.config.refresh_token = '';
-      await this.updateConfig();
-      return;
+    console.error('Giving up refreshing the token for now, trying again later.');
+    this.refreshTimes.lastRefreshFailure = new Date().toISOString();
+    this.scheduleRefresh(REFRESH_RETRY_INTERVAL);
+  }
+
+  scheduleRefresh(delay) {
+    this.refreshInterval = setTimeout(() => this.refresh(), delay);
+    this.refreshTimes.nextRefresh = new Date(Date.now() + delay).toISOString();
+  }
+
+  async requestToken(body, label) {
+    let response;
+    let data;
+    try {
+      response = await fetch(`${this.oauthUrl}/token`, {
+        method: 'POST',
+        body,
+        timeout: REQUEST_TIMEOUT,
+      });
+      data = await response.json().catch(() => ({}));
+    } catch (error) {
+      throw new NetatmoNetworkError(`${label} failed: ${error.message}`);
+    }
+
+    if (!response.ok || !data.access_token) {
+      throw fromResponse(label, response.status, data);
     }
 
-    const data = await response.json();
     this.config.token = data.access_token;
     this.config.expires = Date.now() + (data.expires_in * 1000);
     this.config.refresh_token = data.refresh_token;
-    console.log('Refreshed token until:', new Date(this.config.expires).toISOString());
     await this.updateConfig();
 
     this.initRefresh();
   }
 
+  // Keeps the last errors around so they can be shown to the user.
+  recordError(error) {
+    this.errors.unshift({
+      time: new Date().toISOString(),
+      message: error.message,
+      code: error.code,
+      status: error.status,
+    });
+    this.errors.splice(MAX_ERRORS);
+  }
+
+  async logout() {
+    this.unInit();
+    this.config.token = '';
+    this.config.refresh_token = '';
+    this.config.expires = 0;
+    await this.updateConfig();
+  }
+
   get needsAuth() {
     return !this.config.refresh_token;
   }
 
   unInit() {
-    if (this.refreshInterval) {
-      clearTimeout(this.refreshInterval);
-    }
+    clearTimeout(this.refreshInterval);
+    delete this.refreshInterval;
+    this.refreshTimes.nextRefresh = null;
   }
 
   async* authenticate(scopes, redirectUri) {
     const state = Math.floor(Math.random() * Number.MAX_SAFE_INTEGER).toString(16);
-    const data = yield `https://api.netatmo.com/oauth2/authorize?client_id=${this.config.client_id}&redirect_uri=${encodeURIComponent(redirectUri)}&scope=${scopes.join('+')}&state=${encodeURIComponent(state)}`;
+    const data = yield `${this.oauthUrl}/authorize?client_id=${this.config.client_id}&redirect_uri=${encodeURIComponent(redirectUri)}&scope=${scopes.join('+')}&state=${encodeURIComponent(state)}`;
+
+    if (data.error) {
+      throw new Error(`Authentication flow failed: Netatmo reported ${data.error}`);
+    }
 
-    if (!data.state || data.state !== state || !data.code) {
-      throw new Error(`Authentication flow failed. Possible error: ${data.error}`);
+    // A code pasted by the user may come without its state. When it is there, it has to
+    // match like for any redirect.
+    if ((!data.manual || data.state) && data.state !== state) {
+      throw new Error('Authentication flow failed: the state does not match, the authorization may be outdated or was started again');
+    }
+
+    if (!data.code) {
+      throw new Error('Authentication flow failed: no authorization code received');
     }
 
     const body = new URLSearchParams();
@@ -103,103 +233,46 @@ class Netatmo {
     body.append('client_secret', this.config.client_secret);
     body.append('redirect_uri', redirectUri);
 
-    const response = await fetch(`https://api.netatmo.com/oauth2/token`, {
-      method: 'POST',
-      body,
-    });
-
-    if (!response.ok || response.status !== 200) {
-      throw new Error('Authentication flow failed while retrieving token.');
+    try {
+      await this.requestToken(body, 'Authentication');
+    } catch (error) {
+      throw new Error(`Authentication flow failed while retrieving token: ${error.message}`);
     }
-
-    const tokenData = await response.json();
-    this.config.expires = Date.now() + (tokenData.expires_in * 1000);
-    this.config.token = tokenData.access_token;
-    this.config.refresh_token = tokenData.refresh_token;
-    await this.updateConfig();
-
-    this.initRefresh();
   }
 
   async getHomeData(homeId) {
-    if (!this.config.token) {
-      throw new Error("No token found");
-    }
-
     const body = new URLSearchParams();
 
     if (homeId) {
       body.append('home_id', homeId);
     }
 
-    const response = await fetch('https://api.netatmo.com/api/homesdata', {
-      method: 'POST',
-      body,
-      headers: {
-        Authorization: `Bearer ${this.config.token}`
-      }
-    });
+    const data = await this.request('homesdata', body, 'Home Data');
 
-    console.log('Got response for Home Data', response.ok, response.status);
-    if (!response.ok || response.status !== 200) {
-      if (response.status === 403) {
-        this.config.token = '';
-        this.refresh();
-        throw new Error('Unauthorized');
-      }
-
-      return [];
-    }
-
-    const data = await response.json();
-
-    if (!Array.isArray(data.body.homes)) {
+    if (!Array.isArray(data.homes)) {
       return [];
     }
 
-    return data.body.homes;
+    return data.homes;
   }
 
   async getHomeStatus(homeId) {
-    if (!this.config.token) {
-      throw new Error("No token found");
-    }
-
     const body = new URLSearchParams();
 
     if (homeId) {
       body.append('home_id', homeId);
     }
 
-    const response = await fetch('https://api.netatmo.com/api/homestatus', {
-      method: 'POST',
-      body,
-      headers: {
-        Authorization: `Bearer ${this.config.token}`
-      }
-    });
-
-    console.log('Got response for Home Status', response.ok, response.status);
-    if (!response.ok || response.status !== 200) {
-      if (response.status === 403) {
-        this.config.token = '';
-        this.refresh();
-        throw new Error('Unauthorized');
-      }
+    const data = await this.request('homestatus', body, 'Home Status');
 
-      return [];
+    if (!data.home) {
+      throw new NetatmoError('Home Status failed: no home in response');
     }
 
-    const data = await response.json();
-
-    return data.body.home;
+    return data.home;
   }
 
-  async setRoomThermPoint({ homeId, roomId, mode, temp }) {
-    if (!this.config.token) {
-      throw new Error("No token found");
-    }
-
+  setRoomThermPoint({ homeId, roomId, mode, temp, endtime }) {
     const body = new URLSearchParams();
 
     if (homeId) {
@@ -218,35 +291,28 @@ class Netatmo {
       body.append('temp', temp);
     }
 
-    const response = await fetch('https://api.netatmo.com/api/setroomthermpoint', {
-      method: 'POST',
-      body,
-      headers: {
-        Authorization: `Bearer ${this.config.token}`
-      }
-    });
-
-    console.log('Got response for Set Room Therm Point', response.ok, response.status);
-    if (!response.ok || response.status !== 200) {
-      if (response.status === 403) {
-        this.config.token = '';
-        this.refresh();
-        throw new Error('Unauthorized');
-      }
-
-      return [];
+    if (endtime) {
+      body.append('endtime', endtime);
     }
 
-    const data = await response.json();
-
-    return data.body;
+    return this.request('setroomthermpoint', body, 'Set Room Therm Point');
   }
 
-  async setThermostatMode({ homeId, mode }) {
-    if (!this.config.token) {
-      throw new Error("No token found");
-    }
+  // Takes the room fields of the setstate endpoint, such as therm_setpoint_mode or
+  // cooling_setpoint_temperature. Undefined fields are left out.
+  setRoomState({ homeId, roomId, ...state }) {
+    return this.request('setstate', {
+      home: {
+        id: homeId,
+        rooms: [{
+          id: roomId,
+          ...state,
+        }],
+      },
+    }, 'Set State');
+  }
 
+  setThermostatMode({ homeId, mode, endtime }) {
     const body = new URLSearchParams();
 
     if (homeId) {
@@ -257,29 +323,193 @@ class Netatmo {
       body.append('mode', mode);
     }
 
-    const response = await fetch('https://api.netatmo.com/api/setthermmode', {
-      method: 'POST',
-      body,
-      headers: {
-        Authorization: `Bearer ${this.config.token}`
+    if (endtime) {
+      body.append('endtime', endtime);
+    }
+
+    return this.request('setthermmode', body, 'Set Therm Mode');
+  }
+
+  switchHomeSchedule({ homeId, scheduleId }) {
+    const body = new URLSearchParams();
+    body.append('home_id', homeId);
+    body.append('schedule_id', scheduleId);
+
+    return this.request('switchhomeschedule', body, 'Switch Home Schedule');
+  }
+
+  createHomeSchedule({ homeId, name, timetable, zones, hgTemp, awayTemp }) {
+    return this.request('createnewhomeschedule', {
+      home_id: homeId,
+      name,
+      timetable,
+      zones,
+      hg_temp: hgTemp,
+      away_temp: awayTemp,
+    }, 'Create Home Schedule');
+  }
+
+  renameHomeSchedule({ homeId, scheduleId, name }) {
+    const body = new URLSearchParams();
+    body.append('home_id', homeId);
+    body.append('schedule_id', scheduleId);
+    body.append('name', name);
+
+    return this.request('renamehomeschedule', body, 'Rename Home Schedule');
+  }
+
+  deleteHomeSchedule({ homeId, scheduleId }) {
+    const body = new URLSearchParams();
+    body.append('home_id', homeId);
+    body.append('schedule_id', scheduleId);
+
+    return this.request('deletehomeschedule', body, 'Delete Home Schedule');
+  }
+
+  syncHomeSchedule({ homeId, scheduleId, name, timetable, zones, hgTemp, awayTemp }) {
+    return this.request('synchomeschedule', {
+      home_id: homeId,
+      schedule_id: scheduleId,
+      name,
+      timetable,
+      zones,
+      hg_temp: hgTemp,
+      away_temp: awayTemp,
+    }, 'Sync Home Schedule');
+  }
+
+  getRoomMeasure({ homeId, roomId, scale, types, dateBegin, dateEnd, limit }) {
+    const body = new URLSearchParams();
+    body.append('home_id', homeId);
+    body.append('room_id', roomId);
+    body.append('scale', scale);
+    body.append('type', types.join(','));
+    body.append('optimize', 'false');
+    body.append('real_time', 'true');
+
+    if (dateBegin) {
+      body.append('date_begin', dateBegin);
+    }
+
+    if (dateEnd) {
+      body.append('date_end', dateEnd);
+    }
+
+    if (limit) {
+      body.append('limit', limit);
+    }
+
+    return this.request('getroommeasure', body, 'Room Measure');
+  }
+
+  addWebhook(url) {
+    const body = new URLSearchParams();
+    body.append('url', url);
+
+    return this.request('addwebhook', body, 'Add Webhook');
+  }
+
+  dropWebhook() {
+    return this.request('dropwebhook', new URLSearchParams(), 'Drop Webhook');
+  }
+
+  // Sends a request to the Netatmo API. Bodies that are not URLSearchParams are sent
+  // as JSON, which the schedule endpoints need for timetables and zones. When the token
+  // was rejected, it is refreshed and the request is sent once more.
+  async request(path, body, label) {
+    if (this.refreshPromise) {
+      await this.refreshPromise;
+    }
+
+    try {
+      return await this.authorizedSend(path, body, label);
+    } catch (error) {
+      this.recordError(error);
+      throw error;
+    }
+  }
+
+  async authorizedSend(path, body, label) {
+    if (!this.config.token) {
+      throw new NetatmoAuthError(`${label} failed: no token found`);
+    }
+
+    try {
+      return await this.send(path, body, label);
+    } catch (error) {
+      if (!(error instanceof NetatmoAuthError)) {
+        throw error;
       }
-    });
 
-    console.log('Got response for Set Therm Mode', response.ok, response.status);
-    if (!response.ok || response.status !== 200) {
-      if (response.status === 403) {
-        this.config.token = '';
-        this.refresh();
-        throw new Error('Unauthorized');
+      console.log(`${label} was not authorized, refreshing token`);
+      await this.refresh();
+      if (!this.config.token) {
+        throw error;
       }
 
-      return [];
+      return this.send(path, body, label);
     }
+  }
 
-    const data = await response.json();
+  async send(path, body, label, attempt = 0) {
+    await this.requestBudget.acquire();
 
-    return data.body;
+    const isForm = body instanceof URLSearchParams;
+    const headers = {
+      Authorization: `Bearer ${this.config.token}`
+    };
+
+    if (!isForm) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    let data;
+    try {
+      response = await fetch(`${this.apiUrl}/${path}`, {
+        method: 'POST',
+        body: isForm ? body : JSON.stringify(body),
+        headers,
+        timeout: REQUEST_TIMEOUT,
+      });
+      data = await response.json().catch(() => ({}));
+    } catch (error) {
+      const networkError = new NetatmoNetworkError(`${label} failed: ${error.message}`);
+      return this.retry(networkError, path, body, label, attempt);
+    }
+
+    console.log(`Got response for ${label}`, response.ok, response.status);
+    if (response.ok && !data.error) {
+      return data.body || {};
+    }
+
+    const retryAfter = Number(response.headers.get('retry-after')) * 1000 || undefined;
+    const error = fromResponse(label, response.status, data, retryAfter);
+
+    if (error instanceof NetatmoRateLimitError) {
+      this.requestBudget.pause(error.retryAfter);
+    }
+
+    return this.retry(error, path, body, label, attempt);
   }
+
+  async retry(error, path, body, label, attempt) {
+    if (!error.retryable || !RETRYABLE_PATHS.includes(path) || attempt >= MAX_RETRIES) {
+      throw error;
+    }
+
+    const delay = RETRY_DELAY * Math.pow(2, attempt);
+    console.log(`${label} failed, retrying in ${delay}ms:`, error.message);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+
+    return this.send(path, body, label, attempt + 1);
+  }
+}
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
 }
 
+Netatmo.AUTH_REQUIRED = AUTH_REQUIRED;
+
 module.exports = Netatmo;
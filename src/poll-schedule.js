@@ -0,0 +1,75 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+// Delays of the status updates after a write, so the state confirmed by Netatmo
+// shows up quickly.
+const FAST_POLL_DELAYS = [5 * 1000, 15 * 1000, 45 * 1000];
+// After this many polls without changes the interval is doubled, up to MAX_IDLE_FACTOR.
+const IDLE_POLLS = 3;
+const MAX_IDLE_FACTOR = 4;
+const MAX_RATE_LIMIT_FACTOR = 8;
+
+// Decides when the next poll happens and whether it also has to refresh the homes,
+// rooms and modules (topology) or only their status.
+class PollSchedule {
+  constructor({ statusInterval, topologyInterval }) {
+    this.statusInterval = statusInterval;
+    this.topologyInterval = topologyInterval;
+    this.lastTopologyUpdate = 0;
+    this.unchangedPolls = 0;
+    this.rateLimitFactor = 1;
+    this.fastPolls = [];
+  }
+
+  // The longest delay getDelay returns, while backing off.
+  get maxDelay() {
+    return this.statusInterval * Math.max(MAX_IDLE_FACTOR, MAX_RATE_LIMIT_FACTOR);
+  }
+
+  isTopologyDue(now = Date.now()) {
+    return now - this.lastTopologyUpdate >= this.topologyInterval;
+  }
+
+  speedUp(topology = false) {
+    this.fastPolls = [...FAST_POLL_DELAYS];
+    this.unchangedPolls = 0;
+    if (topology) {
+      this.lastTopologyUpdate = 0;
+    }
+  }
+
+  recordPoll({ topology = false, changed = false, rateLimited = false }) {
+    if (topology) {
+      this.lastTopologyUpdate = Date.now();
+    }
+
+    if (rateLimited) {
+      this.rateLimitFactor = Math.min(this.rateLimitFactor * 2, MAX_RATE_LIMIT_FACTOR);
+      this.fastPolls = [];
+    } else {
+      this.rateLimitFactor = 1;
+    }
+
+    this.unchangedPolls = changed ? 0 : this.unchangedPolls + 1;
+  }
+
+  getDelay() {
+    if (this.rateLimitFactor > 1) {
+      return this.statusInterval * this.rateLimitFactor;
+    }
+
+    if (this.fastPolls.length) {
+      return this.fastPolls.shift();
+    }
+
+    const idleFactor = 2 ** Math.floor(this.unchangedPolls / IDLE_POLLS);
+    return this.statusInterval * Math.min(idleFactor, MAX_IDLE_FACTOR);
+  }
+}
+
+module.exports = PollSchedule;
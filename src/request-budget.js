@@ -0,0 +1,65 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const { NetatmoRateLimitError } = require('./errors');
+
+// Requests are delayed by at most this long to stay within the limits, beyond that
+// they fail right away instead of blocking the gateway.
+const MAX_WAIT = 10 * 1000;
+const DEFAULT_PAUSE = 60 * 1000;
+
+class RequestBudget {
+  constructor(limits) {
+    this.limits = limits;
+    this.requests = [];
+    this.pausedUntil = 0;
+  }
+
+  // Resolves once a request may be sent, rejects if the budget is exhausted for longer.
+  async acquire() {
+    const now = Date.now();
+    if (this.pausedUntil > now) {
+      throw new NetatmoRateLimitError('Netatmo rate limit reached, requests are paused', {
+        retryAfter: this.pausedUntil - now,
+      });
+    }
+
+    const wait = this.getWait(now);
+    if (wait > MAX_WAIT) {
+      throw new NetatmoRateLimitError('Netatmo request budget exhausted', {
+        retryAfter: wait,
+      });
+    }
+
+    // Reserve the slot before waiting so concurrent requests queue up behind it.
+    this.requests.push(now + wait);
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+
+  getWait(now) {
+    const longestWindow = Math.max(...this.limits.map((limit) => limit.window));
+    this.requests = this.requests.filter((time) => time > now - longestWindow);
+
+    return this.limits.reduce((wait, { count, window }) => {
+      const inWindow = this.requests.filter((time) => time > now - window);
+      if (inWindow.length < count) {
+        return wait;
+      }
+
+      return Math.max(wait, inWindow[inWindow.length - count] + window - now);
+    }, 0);
+  }
+
+  pause(duration = DEFAULT_PAUSE) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + duration);
+  }
+}
+
+module.exports = RequestBudget;
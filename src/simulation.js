@@ -0,0 +1,436 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const { NetatmoError } = require('./errors');
+const Netatmo = require('./netatmo');
+
+const HOME_ID = '5f1a00000000000000000001';
+const OUTSIDE_TEMPERATURE = 8;
+const OFF_TEMPERATURE = 7;
+const MIN_TEMPERATURE = 7;
+const MAX_TEMPERATURE = 30;
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+const SCALES = {
+  '30min': 30 * 60,
+  '1hour': 60 * 60,
+  '3hours': 3 * 60 * 60,
+  '1day': 24 * 60 * 60,
+  '1week': 7 * 24 * 60 * 60,
+  '1month': 30 * 24 * 60 * 60,
+};
+
+const ROOMS = [
+  { id: '1001', name: 'Living Room', type: 'livingroom', temperature: 20.5 },
+  { id: '1002', name: 'Bedroom', type: 'bedroom', temperature: 18 },
+  { id: '1003', name: 'Kitchen', type: 'kitchen', temperature: 19.5 },
+  { id: '1004', name: 'Bathroom', type: 'bathroom', temperature: 21 },
+];
+
+const MODULES = [
+  { id: '70:ee:50:00:00:01', type: 'NAPlug', name: 'Relay' },
+  { id: '04:00:00:00:00:01', type: 'NATherm1', name: 'Thermostat', room_id: '1001', battery_level: 3900 },
+  { id: '09:00:00:00:00:01', type: 'NRV', name: 'Living Room Valve', room_id: '1001', battery_level: 2900 },
+  { id: '09:00:00:00:00:02', type: 'NRV', name: 'Bedroom Valve', room_id: '1002', battery_level: 2600 },
+  { id: '09:00:00:00:00:03', type: 'NRV', name: 'Kitchen Valve', room_id: '1003', battery_level: 3100 },
+  { id: '09:00:00:00:00:04', type: 'NRV', name: 'Bathroom Valve', room_id: '1004', battery_level: 2300 },
+  { id: '09:00:00:00:00:05', type: 'NRV', name: 'Bathroom Towel Valve', room_id: '1004', battery_level: 2500 },
+];
+
+// Setpoints of the schedule zones per room, in the order of ROOMS.
+const ZONES = [
+  { id: 0, name: 'Comfort', type: 0, temperatures: [21, 19, 20, 22] },
+  { id: 1, name: 'Night', type: 1, temperatures: [17, 16, 16, 18] },
+  { id: 4, name: 'Eco', type: 5, temperatures: [18, 16, 17, 19] },
+];
+
+// Zone changes per day as [hour, minute, zone id].
+const SCHEDULES = [
+  {
+    name: 'Winter',
+    day: [[0, 0, 1], [6, 30, 0], [8, 30, 4], [17, 0, 0], [22, 30, 1]],
+  },
+  {
+    name: 'Holiday',
+    day: [[0, 0, 4]],
+  },
+  {
+    name: 'Home Office',
+    day: [[0, 0, 1], [6, 30, 0], [23, 0, 1]],
+  },
+];
+
+// Pretends to be the Netatmo API for a home with a thermostat and a few valves, so the
+// adapter can be used without a Netatmo account. Room temperatures follow the setpoints
+// a bit slower than real radiators would.
+class SimulatedNetatmo extends Netatmo {
+  constructor(config, packageName) {
+    super(config, packageName);
+
+    this.home = createHome();
+    this.rooms = new Map(ROOMS.map((room) => [room.id, {
+      id: room.id,
+      reachable: true,
+      therm_measured_temperature: room.temperature,
+      therm_setpoint_mode: 'home',
+      heating_power_request: 0,
+      open_window: false,
+      anticipating: false,
+    }]));
+    this.lastStep = Date.now();
+  }
+
+  initRefresh() {
+    // There is no token to refresh.
+  }
+
+  async refresh() {
+    // There is no token to refresh.
+  }
+
+  get needsAuth() {
+    return false;
+  }
+
+  async* authenticate() {
+    // Nothing to authorize, so no URL is yielded.
+  }
+
+  async request(path, body, label) {
+    const params = body instanceof URLSearchParams ? Object.fromEntries(body.entries()) : body;
+    console.log(`Simulating response for ${label}`);
+
+    switch (path) {
+      case 'homesdata':
+        return { homes: [this.home] };
+      case 'homestatus':
+        this.step();
+        return { home: this.getStatus() };
+      case 'setroomthermpoint':
+        return this.setRoomThermPointRequest(params);
+      case 'setthermmode':
+        return this.setThermModeRequest(params);
+      case 'switchhomeschedule':
+        this.getSchedule(params.schedule_id);
+        this.home.schedules.forEach((schedule) => {
+          schedule.selected = schedule.id === params.schedule_id;
+        });
+        return {};
+      case 'createnewhomeschedule':
+        return this.createScheduleRequest(params);
+      case 'synchomeschedule':
+        Object.assign(this.getSchedule(params.schedule_id), pickDefined({
+          name: params.name,
+          timetable: params.timetable,
+          zones: params.zones,
+          hg_temp: params.hg_temp,
+          away_temp: params.away_temp,
+        }));
+        return {};
+      case 'renamehomeschedule':
+        this.getSchedule(params.schedule_id).name = params.name;
+        return {};
+      case 'deletehomeschedule':
+        if (this.getSchedule(params.schedule_id).selected) {
+          throw new NetatmoError(`${label} failed: Can not delete the active schedule`, { code: 21 });
+        }
+        this.home.schedules = this.home.schedules.filter((s) => s.id !== params.schedule_id);
+        return {};
+      case 'getroommeasure':
+        return this.getRoomMeasureRequest(params);
+      case 'addwebhook':
+      case 'dropwebhook':
+        return {};
+      default:
+        throw new NetatmoError(`${label} failed: Method not found`, { status: 404, code: 31 });
+    }
+  }
+
+  getRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new NetatmoError('Room not found', { code: 21 });
+    }
+
+    return room;
+  }
+
+  getSchedule(scheduleId) {
+    const schedule = this.home.schedules.find((s) => s.id === scheduleId);
+    if (!schedule) {
+      throw new NetatmoError('Schedule not found', { code: 21 });
+    }
+
+    return schedule;
+  }
+
+  setRoomThermPointRequest({ room_id, mode, temp, endtime }) {
+    const room = this.getRoom(room_id);
+
+    if (mode === 'manual') {
+      const temperature = Number(temp);
+      if (!(temperature >= MIN_TEMPERATURE && temperature <= MAX_TEMPERATURE)) {
+        throw new NetatmoError('Invalid argument', { code: 21 });
+      }
+
+      room.therm_setpoint_temperature = temperature;
+    } else if (mode === 'max') {
+      room.therm_setpoint_temperature = MAX_TEMPERATURE;
+    } else if (mode !== 'home' && mode !== 'off') {
+      throw new NetatmoError('Invalid argument', { code: 21 });
+    }
+
+    room.therm_setpoint_mode = mode;
+    room.therm_setpoint_end_time = mode === 'manual' || mode === 'max' ? Number(endtime) || undefined : undefined;
+    room.therm_setpoint_start_time = Math.floor(Date.now() / 1000);
+    return {};
+  }
+
+  setThermModeRequest({ mode, endtime }) {
+    if (!['schedule', 'away', 'hg'].includes(mode)) {
+      throw new NetatmoError('Invalid argument', { code: 21 });
+    }
+
+    this.home.therm_mode = mode;
+    this.home.therm_mode_endtime = mode !== 'schedule' ? Number(endtime) || undefined : undefined;
+    return {};
+  }
+
+  createScheduleRequest({ name, timetable, zones, hg_temp, away_temp }) {
+    const schedule = {
+      id: crypto.randomBytes(12).toString('hex'),
+      name,
+      type: 'therm',
+      selected: false,
+      timetable,
+      zones,
+      hg_temp: hg_temp || 7,
+      away_temp: away_temp || 12,
+    };
+    this.home.schedules.push(schedule);
+
+    return { schedule_id: schedule.id };
+  }
+
+  getRoomMeasureRequest({ room_id, scale, type, date_begin, date_end, limit }) {
+    this.getRoom(room_id);
+
+    const step = SCALES[scale];
+    if (!step) {
+      throw new NetatmoError('Invalid argument', { code: 21 });
+    }
+
+    const end = Number(date_end) || Math.floor(Date.now() / 1000);
+    const begin = Number(date_begin) || end - step * 48;
+    const types = type.split(',');
+    const count = Math.min(Math.floor((end - begin) / step) + 1, Number(limit) || 1024);
+    const measures = {};
+
+    for (let i = 0; i < count; ++i) {
+      const time = begin + i * step;
+      const setpoint = this.getScheduledTemperature(room_id, time * 1000);
+      // Rooms lag a bit behind their setpoint and fluctuate during the day.
+      const temperature = round(setpoint - 0.5 + Math.sin(time / 7200) * 0.7);
+      const heating = Math.max(0, Math.min(step, Math.round((setpoint - temperature + 1) * step / 3)));
+
+      measures[time] = types.map((measureType) => {
+        switch (measureType) {
+          case 'temperature':
+            return temperature;
+          case 'min_temp':
+            return round(temperature - 0.4);
+          case 'max_temp':
+            return round(temperature + 0.4);
+          case 'date_min_temp':
+          case 'date_max_temp':
+            return time;
+          case 'sp_temperature':
+            return setpoint;
+          case 'sum_boiler_on':
+            return heating;
+          case 'sum_boiler_off':
+            return step - heating;
+          default:
+            return null;
+        }
+      });
+    }
+
+    return measures;
+  }
+
+  // Moves the simulated home forward to the current time.
+  step() {
+    const now = Date.now();
+    const minutes = (now - this.lastStep) / 60000;
+    this.lastStep = now;
+
+    const nowSeconds = Math.floor(now / 1000);
+    if (this.home.therm_mode_endtime && this.home.therm_mode_endtime <= nowSeconds) {
+      this.home.therm_mode = 'schedule';
+      delete this.home.therm_mode_endtime;
+    }
+
+    for (const room of this.rooms.values()) {
+      if (room.therm_setpoint_end_time && room.therm_setpoint_end_time <= nowSeconds) {
+        room.therm_setpoint_mode = 'home';
+        delete room.therm_setpoint_end_time;
+      }
+
+      const setpoint = this.getSetpoint(room, now);
+      const difference = setpoint - room.therm_measured_temperature;
+      const power = Math.max(0, Math.min(100, Math.round(difference * 100)));
+      const heatingRate = 0.05 * (power / 100);
+      const coolingRate = 0.002 * (room.therm_measured_temperature - OUTSIDE_TEMPERATURE);
+      const temperature = room.therm_measured_temperature + (heatingRate - coolingRate) * minutes;
+
+      room.therm_setpoint_temperature = setpoint;
+      room.heating_power_request = power;
+      room.therm_measured_temperature = round(temperature);
+    }
+  }
+
+  getSetpoint(room, now) {
+    if (room.therm_setpoint_mode === 'off') {
+      return OFF_TEMPERATURE;
+    }
+
+    if (room.therm_setpoint_mode === 'manual' || room.therm_setpoint_mode === 'max') {
+      return room.therm_setpoint_temperature;
+    }
+
+    const schedule = this.home.schedules.find((s) => s.selected);
+    if (this.home.therm_mode === 'away') {
+      return schedule.away_temp;
+    }
+
+    if (this.home.therm_mode === 'hg') {
+      return schedule.hg_temp;
+    }
+
+    return this.getScheduledTemperature(room.id, now);
+  }
+
+  getScheduledTemperature(roomId, time) {
+    const schedule = this.home.schedules.find((s) => s.selected);
+    const offset = getWeekOffset(time);
+    const entry = schedule.timetable.reduce((current, item) => (item.m_offset <= offset ? item : current),
+      schedule.timetable[schedule.timetable.length - 1]);
+    const zone = schedule.zones.find((z) => z.id === entry.zone_id);
+    const zoneRoom = zone && zone.rooms.find((r) => r.id === roomId);
+
+    return zoneRoom ? zoneRoom.therm_setpoint_temperature : schedule.hg_temp;
+  }
+
+  getStatus() {
+    const rooms = [...this.rooms.values()].map((room) => ({ ...room }));
+    const boilerOn = rooms.some((room) => room.heating_power_request > 0);
+    const modules = MODULES.map((module) => {
+      if (module.type === 'NAPlug') {
+        return {
+          id: module.id,
+          type: module.type,
+          reachable: true,
+          wifi_strength: 58,
+          firmware_revision: 226,
+        };
+      }
+
+      return {
+        id: module.id,
+        type: module.type,
+        reachable: true,
+        bridge: MODULES[0].id,
+        battery_level: module.battery_level,
+        battery_state: module.battery_level > 2600 ? 'full' : 'medium',
+        rf_strength: 68,
+        firmware_revision: 79,
+        boiler_status: module.type === 'NATherm1' ? boilerOn : undefined,
+      };
+    });
+
+    return {
+      id: HOME_ID,
+      rooms,
+      modules,
+    };
+  }
+}
+
+function createHome() {
+  const modules = MODULES.map(({ battery_level, ...module }) => ({ ...module }));
+  modules[0].modules_bridged = MODULES.slice(1).map((module) => module.id);
+  modules.slice(1).forEach((module) => {
+    module.bridge = MODULES[0].id;
+  });
+
+  return {
+    id: HOME_ID,
+    name: 'Simulated Home',
+    therm_mode: 'schedule',
+    therm_setpoint_default_duration: 120,
+    rooms: ROOMS.map((room) => ({
+      id: room.id,
+      name: room.name,
+      type: room.type,
+      module_ids: MODULES.filter((module) => module.room_id === room.id).map((module) => module.id),
+    })),
+    modules,
+    schedules: SCHEDULES.map((schedule, index) => ({
+      id: `5f1a0000000000000000010${index}`,
+      name: schedule.name,
+      type: 'therm',
+      selected: index === 0,
+      hg_temp: 7,
+      away_temp: 12,
+      zones: ZONES.map((zone) => ({
+        id: zone.id,
+        name: zone.name,
+        type: zone.type,
+        rooms: ROOMS.map((room, roomIndex) => ({
+          id: room.id,
+          therm_setpoint_temperature: zone.temperatures[roomIndex],
+        })),
+      })),
+      timetable: createTimetable(schedule.day),
+    })),
+  };
+}
+
+function createTimetable(day) {
+  const timetable = [];
+  for (let weekday = 0; weekday < 7; ++weekday) {
+    day.forEach(([hour, minute, zoneId]) => {
+      timetable.push({
+        zone_id: zoneId,
+        m_offset: weekday * 24 * 60 + hour * 60 + minute,
+      });
+    });
+  }
+
+  return timetable;
+}
+
+// Minutes since monday midnight, as used by Netatmo timetables.
+function getWeekOffset(time) {
+  const date = new Date(time);
+  const weekday = (date.getDay() + 6) % 7;
+  return (weekday * 24 * 60 + date.getHours() * 60 + date.getMinutes()) % MINUTES_PER_WEEK;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function pickDefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = SimulatedNetatmo;
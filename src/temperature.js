@@ -0,0 +1,83 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+// Range Netatmo accepts for room setpoints, in degrees Celsius.
+const NETATMO_MINIMUM = 7;
+const NETATMO_MAXIMUM = 30;
+// Netatmo works with setpoints in half degrees Celsius.
+const NETATMO_STEP = 0.5;
+
+const UNITS = {
+  celsius: {
+    unit: 'degree celsius',
+    symbol: '°C',
+    step: 0.5,
+  },
+  fahrenheit: {
+    unit: 'degree fahrenheit',
+    symbol: '°F',
+    step: 1,
+  },
+};
+
+// Converts between the degrees Celsius of the Netatmo API and the unit shown in the
+// gateway.
+class TemperatureScale {
+  constructor(unit, step) {
+    const definition = UNITS[unit] || UNITS.celsius;
+    this.fahrenheit = definition === UNITS.fahrenheit;
+    this.unit = definition.unit;
+    this.symbol = definition.symbol;
+    this.step = step > 0 ? step : definition.step;
+  }
+
+  toDisplay(celsius) {
+    if (typeof celsius !== 'number') {
+      return celsius;
+    }
+
+    const value = this.fahrenheit ? celsius * 9 / 5 + 32 : celsius;
+    return Math.round(value * 10) / 10;
+  }
+
+  // Setpoints are shown in whole steps, so they fit the target temperature property.
+  // 21 °C becomes 70 °F rather than 69.8 °F.
+  toDisplayStep(celsius) {
+    if (typeof celsius !== 'number') {
+      return celsius;
+    }
+
+    return roundToStep(this.toDisplay(celsius), this.step, Math.round);
+  }
+
+  fromDisplay(value) {
+    const celsius = this.fahrenheit ? (value - 32) * 5 / 9 : value;
+    const rounded = Math.round(celsius / NETATMO_STEP) * NETATMO_STEP;
+    return Math.min(Math.max(rounded, NETATMO_MINIMUM), NETATMO_MAXIMUM);
+  }
+
+  // Returns the given range in the displayed unit, narrowed to whole steps and to
+  // what Netatmo accepts.
+  getLimits(minimum, maximum) {
+    const lowest = Math.max(minimum ?? -Infinity, this.toDisplay(NETATMO_MINIMUM));
+    const highest = Math.min(maximum ?? Infinity, this.toDisplay(NETATMO_MAXIMUM));
+
+    return {
+      minimum: roundToStep(lowest, this.step, Math.ceil),
+      maximum: roundToStep(highest, this.step, Math.floor),
+    };
+  }
+}
+
+function roundToStep(value, step, round) {
+  // Keeps floating point noise such as 7 / 0.1 = 70.00000000000001 from adding a step.
+  const steps = round(Math.round(value / step * 1e6) / 1e6);
+  return Math.round(steps * step * 1e6) / 1e6;
+}
+
+module.exports = TemperatureScale;
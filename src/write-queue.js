@@ -0,0 +1,94 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+// Collects the changes of a room and sends them after a delay, so a burst of changes,
+// for example from dragging a slider, only sends the last value of each property. The
+// new value is shown right away and restored if sending it fails. Sends run one after
+// the other, so the last value is also the last one to reach Netatmo.
+class WriteQueue {
+  constructor({ delay, getValue, setValue, onChange = () => {} }) {
+    this.delay = delay;
+    this.getValue = getValue;
+    this.setValue = setValue;
+    this.onChange = onChange;
+    // Changes by property name, waiting to be sent, being sent and sent but not yet
+    // confirmed by a status update.
+    this.queued = new Map();
+    this.sending = new Set();
+    this.unconfirmed = new Set();
+    this.sends = Promise.resolve();
+  }
+
+  get pending() {
+    return this.queued.size + this.sending.size + this.unconfirmed.size > 0;
+  }
+
+  // Resolves with the value once Netatmo accepted it, or with the error it rejected it
+  // with.
+  queue(name, value, write) {
+    const queued = this.queued.get(name);
+    const entry = {
+      value,
+      write,
+      previousValue: queued ? queued.previousValue : this.getValue(name),
+      callbacks: queued ? queued.callbacks : [],
+    };
+    this.queued.set(name, entry);
+    this.setValue(name, value);
+    this.onChange();
+
+    clearTimeout(this.timeout);
+    this.timeout = setTimeout(() => this.flush(), this.delay);
+
+    return new Promise((resolve, reject) => entry.callbacks.push({ resolve, reject }));
+  }
+
+  // Sends what is queued once the sends before are done.
+  flush() {
+    clearTimeout(this.timeout);
+    this.sends = this.sends.then(() => this.send());
+    return this.sends;
+  }
+
+  async send() {
+    const writes = [...this.queued];
+    this.queued.clear();
+
+    for (const [name, entry] of writes) {
+      this.sending.add(name);
+      try {
+        await entry.write();
+        this.unconfirmed.add(name);
+        entry.callbacks.forEach(({ resolve }) => resolve(entry.value));
+      } catch (error) {
+        // A newer value waiting to be sent is kept.
+        if (!this.queued.has(name)) {
+          this.setValue(name, entry.previousValue);
+        }
+        entry.callbacks.forEach(({ reject }) => reject(error));
+      } finally {
+        this.sending.delete(name);
+      }
+    }
+
+    this.onChange();
+  }
+
+  // Whether the property has a change that was not sent yet.
+  isPending(name) {
+    return this.queued.has(name) || this.sending.has(name);
+  }
+
+  confirm(name) {
+    if (this.unconfirmed.delete(name)) {
+      this.onChange();
+    }
+  }
+}
+
+module.exports = WriteQueue;
@@ -0,0 +1,68 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  NetatmoError,
+  NetatmoAuthError,
+  NetatmoRateLimitError,
+  fromResponse,
+} = require('../src/errors');
+
+function netatmoError(code, message = 'Failed') {
+  return { error: { code, message } };
+}
+
+describe('fromResponse', () => {
+  it('treats rejected access tokens as auth errors', () => {
+    const responses = [
+      [401, {}],
+      [403, {}],
+      [403, netatmoError(1)],
+      [403, netatmoError(2)],
+      [403, netatmoError(3)],
+    ];
+
+    responses.forEach(([status, data]) => {
+      assert.ok(fromResponse('Home Status', status, data) instanceof NetatmoAuthError);
+    });
+  });
+
+  it('keeps other forbidden requests apart from auth errors', () => {
+    const error = fromResponse('Set State', 403, netatmoError(13, 'Operation forbidden'));
+    assert.ok(!(error instanceof NetatmoAuthError));
+    assert.equal(error.message, 'Set State failed: Operation forbidden');
+    assert.equal(error.code, 13);
+    assert.equal(error.retryable, false);
+  });
+
+  it('recognizes rate limits by status or error code', () => {
+    const tooMany = fromResponse('Home Status', 429, {}, 5000);
+    assert.ok(tooMany instanceof NetatmoRateLimitError);
+    assert.equal(tooMany.retryAfter, 5000);
+
+    assert.ok(fromResponse('Home Status', 403, netatmoError(26)) instanceof NetatmoRateLimitError);
+  });
+
+  it('keeps the OAuth error as code, so a rejected refresh token is recognized', () => {
+    const error = fromResponse('Token Refresh', 400, { error: 'invalid_grant', error_description: 'Invalid refresh token' });
+    assert.ok(!(error instanceof NetatmoAuthError));
+    assert.equal(error.code, 'invalid_grant');
+    assert.equal(error.message, 'Token Refresh failed: Invalid refresh token');
+    assert.equal(error.retryable, false);
+  });
+
+  it('only marks server and internal errors as retryable', () => {
+    assert.equal(fromResponse('Home Status', 500, {}).retryable, true);
+    assert.equal(fromResponse('Home Status', 200, netatmoError(11)).retryable, true);
+    assert.equal(fromResponse('Home Status', 400, netatmoError(21)).retryable, false);
+    assert.ok(fromResponse('Home Status', 400, netatmoError(21)) instanceof NetatmoError);
+  });
+});
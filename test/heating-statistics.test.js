@@ -0,0 +1,80 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const HeatingStatistics = require('../src/heating-statistics');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('HeatingStatistics', () => {
+  // Noon keeps the samples of a test within one local day.
+  const noon = new Date(2024, 0, 10, 12).getTime();
+
+  it('adds up heating minutes and demand until the next sample', () => {
+    const statistics = new HeatingStatistics();
+    statistics.record('room', 50, noon);
+    statistics.record('room', 0, noon + 30 * MINUTE);
+    statistics.record('room', 100, noon + 60 * MINUTE);
+
+    assert.deepEqual(statistics.getSummary('room', noon + 60 * MINUTE), {
+      heatingMinutesToday: 30,
+      heatingMinutesYesterday: 0,
+      demandMinutesToday: 15,
+      demandMinutesYesterday: 0,
+      averageDemandWeek: 25,
+    });
+  });
+
+  it('does not count gaps between samples of more than an hour', () => {
+    const statistics = new HeatingStatistics();
+    statistics.record('room', 100, noon);
+    statistics.record('room', 100, noon + 2 * 60 * MINUTE);
+
+    assert.equal(statistics.getSummary('room', noon + 2 * 60 * MINUTE).heatingMinutesToday, 0);
+  });
+
+  it('counts longer gaps when polls are further apart', () => {
+    const statistics = new HeatingStatistics(undefined, 80 * MINUTE);
+    statistics.record('room', 100, noon - 80 * MINUTE);
+    statistics.record('room', 100, noon);
+
+    assert.equal(statistics.getSummary('room', noon).heatingMinutesToday, 80);
+  });
+
+  it('moves today to yesterday on the next day', () => {
+    const statistics = new HeatingStatistics();
+    statistics.record('room', 100, noon);
+    statistics.record('room', 0, noon + 20 * MINUTE);
+
+    const summary = statistics.getSummary('room', noon + DAY);
+    assert.equal(summary.heatingMinutesToday, 0);
+    assert.equal(summary.heatingMinutesYesterday, 20);
+    assert.equal(summary.averageDemandWeek, 100);
+  });
+
+  it('continues from stored data and only keeps the last week', () => {
+    const now = Date.now();
+    const statistics = new HeatingStatistics();
+    statistics.record('room', 100, now - 10 * DAY);
+    statistics.record('room', 100, now - 10 * DAY + 10 * MINUTE);
+    statistics.record('current', 100, now - MINUTE);
+    statistics.record('current', 0, now);
+
+    const restored = new HeatingStatistics(JSON.parse(JSON.stringify(statistics)));
+    assert.deepEqual(Object.keys(restored.data), ['current']);
+    assert.equal(restored.getSummary('current', now).heatingMinutesToday, 1);
+  });
+
+  it('starts empty without valid stored data', () => {
+    const statistics = new HeatingStatistics('invalid');
+    assert.equal(statistics.getSummary('room').heatingMinutesToday, 0);
+  });
+});
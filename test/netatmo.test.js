@@ -0,0 +1,207 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { afterEach, describe, it } = require('node:test');
+
+const HOUR = 60 * 60 * 1000;
+
+// Responses by endpoint, in the order they are returned. Errors are thrown by fetch,
+// like for timeouts and refused connections.
+let responses = {};
+let requests = [];
+let savedConfigs = [];
+
+function fetchStub(url, options) {
+  const path = new URL(url).pathname.split('/').pop();
+  requests.push({ path, options });
+
+  const response = (responses[path] || []).shift();
+  if (!response) {
+    return Promise.reject(new Error(`Unexpected request to ${path}`));
+  }
+  if (response instanceof Error) {
+    return Promise.reject(response);
+  }
+
+  return Promise.resolve({
+    ok: response.status >= 200 && response.status < 300,
+    status: response.status,
+    headers: { get: () => null },
+    json: () => Promise.resolve(response.body),
+  });
+}
+
+function stubModule(name, exports) {
+  const filename = require.resolve(name);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+stubModule('node-fetch', fetchStub);
+// Storing the config needs the gateway.
+stubModule('../src/config', {
+  addToConfig: (packageName, config) => {
+    savedConfigs.push({ ...config });
+    return Promise.resolve();
+  },
+});
+
+const Netatmo = require('../src/netatmo');
+const { NetatmoAuthError, NetatmoError, NetatmoNetworkError } = require('../src/errors');
+
+const instances = [];
+
+function createNetatmo() {
+  const netatmo = new Netatmo({
+    client_id: 'client',
+    client_secret: 'secret',
+    token: 'old-token',
+    refresh_token: 'old-refresh-token',
+    expires: Date.now() + HOUR,
+  }, 'netatmo-energy-adapter');
+  instances.push(netatmo);
+
+  return netatmo;
+}
+
+function ok(body = {}) {
+  return { status: 200, body: { status: 'ok', body } };
+}
+
+function failed(status, code, message = 'Failed') {
+  return { status, body: { error: { code, message } } };
+}
+
+function token(name) {
+  return { status: 200, body: { access_token: name, refresh_token: `${name}-refresh`, expires_in: 10800 } };
+}
+
+function paths() {
+  return requests.map((request) => request.path);
+}
+
+// Stops the token refresh timers, so the tests can end.
+function reset() {
+  instances.splice(0).forEach((netatmo) => netatmo.unInit());
+  responses = {};
+  requests = [];
+  savedConfigs = [];
+}
+
+describe('Netatmo requests', () => {
+  afterEach(reset);
+
+  it('refreshes a rejected token and sends the request once more', async () => {
+    const netatmo = createNetatmo();
+    responses = {
+      homestatus: [failed(403, 3, 'Access token expired'), ok({ home: { id: 'home' } })],
+      token: [token('new-token')],
+    };
+
+    assert.deepEqual(await netatmo.getHomeStatus('home'), { id: 'home' });
+    assert.deepEqual(paths(), ['homestatus', 'token', 'homestatus']);
+    assert.equal(requests[0].options.headers.Authorization, 'Bearer old-token');
+    assert.equal(requests[2].options.headers.Authorization, 'Bearer new-token');
+  });
+
+  it('only sends the request once more after a refresh', async () => {
+    const netatmo = createNetatmo();
+    responses = {
+      homestatus: [failed(403, 2), failed(403, 2)],
+      token: [token('new-token')],
+    };
+
+    await assert.rejects(netatmo.getHomeStatus('home'), NetatmoAuthError);
+    assert.deepEqual(paths(), ['homestatus', 'token', 'homestatus']);
+  });
+
+  it('retries reads after network errors', async () => {
+    const netatmo = createNetatmo();
+    responses = {
+      homesdata: [new Error('network timeout'), ok({ homes: [{ id: 'home' }] })],
+    };
+
+    assert.deepEqual(await netatmo.getHomeData(), [{ id: 'home' }]);
+    assert.deepEqual(paths(), ['homesdata', 'homesdata']);
+  });
+
+  it('does not send writes again after network errors', async () => {
+    const netatmo = createNetatmo();
+    responses = {
+      createnewhomeschedule: [new Error('network timeout'), ok({ schedule_id: 'schedule' })],
+    };
+
+    await assert.rejects(netatmo.createHomeSchedule({ homeId: 'home', name: 'Winter' }), NetatmoNetworkError);
+    assert.deepEqual(paths(), ['createnewhomeschedule']);
+  });
+
+  it('rejects failed writes and records the error', async () => {
+    const netatmo = createNetatmo();
+    responses = {
+      setroomthermpoint: [failed(400, 21, 'Invalid temperature')],
+    };
+
+    await assert.rejects(netatmo.setRoomThermPoint({ homeId: 'home', roomId: 'room', mode: 'manual', temp: 40 }), (error) => {
+      assert.ok(error instanceof NetatmoError);
+      assert.equal(error.message, 'Set Room Therm Point failed: Invalid temperature');
+      return true;
+    });
+    assert.equal(netatmo.errors[0].code, 21);
+  });
+});
+
+describe('Netatmo token refresh', () => {
+  afterEach(reset);
+
+  it('shares one refresh between concurrent requests', async () => {
+    const netatmo = createNetatmo();
+    responses = {
+      homestatus: [failed(401), failed(401), ok({ home: { id: 'first' } }), ok({ home: { id: 'second' } })],
+      token: [token('new-token')],
+    };
+
+    const homes = await Promise.all([netatmo.getHomeStatus('first'), netatmo.getHomeStatus('second')]);
+    assert.deepEqual(homes.map((home) => home.id), ['first', 'second']);
+    assert.equal(paths().filter((path) => path === 'token').length, 1);
+  });
+
+  it('keeps the refresh token after server and network errors', async () => {
+    const netatmo = createNetatmo();
+    let authRequired = false;
+    netatmo.on(Netatmo.AUTH_REQUIRED, () => {
+      authRequired = true;
+    });
+    responses = {
+      token: [{ status: 503, body: {} }, new Error('socket hang up'), token('new-token')],
+    };
+
+    await netatmo.refresh();
+    assert.equal(netatmo.config.token, 'new-token');
+    assert.equal(netatmo.config.refresh_token, 'new-token-refresh');
+    assert.ok(savedConfigs.every((config) => config.refresh_token));
+    assert.equal(netatmo.errors.length, 2);
+    assert.equal(authRequired, false);
+  });
+
+  it('drops the refresh token when Netatmo rejects it', async () => {
+    const netatmo = createNetatmo();
+    let authRequired = false;
+    netatmo.on(Netatmo.AUTH_REQUIRED, () => {
+      authRequired = true;
+    });
+    responses = {
+      token: [{ status: 400, body: { error: 'invalid_grant' } }],
+    };
+
+    await netatmo.refresh();
+    assert.equal(netatmo.needsAuth, true);
+    assert.equal(savedConfigs.pop().refresh_token, '');
+    assert.deepEqual(paths(), ['token']);
+    assert.equal(authRequired, true);
+  });
+});
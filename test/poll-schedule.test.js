@@ -0,0 +1,67 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const PollSchedule = require('../src/poll-schedule');
+
+const MINUTE = 60 * 1000;
+
+function createSchedule() {
+  return new PollSchedule({ statusInterval: 5 * MINUTE, topologyInterval: 30 * MINUTE });
+}
+
+describe('PollSchedule', () => {
+  it('refreshes the topology first and then after its interval', () => {
+    const schedule = createSchedule();
+    assert.equal(schedule.isTopologyDue(), true);
+
+    schedule.recordPoll({ topology: true, changed: true });
+    assert.equal(schedule.isTopologyDue(), false);
+    assert.equal(schedule.isTopologyDue(Date.now() + 30 * MINUTE), true);
+  });
+
+  it('polls quickly after a write', () => {
+    const schedule = createSchedule();
+    schedule.recordPoll({ topology: true, changed: true });
+    schedule.speedUp(true);
+
+    assert.equal(schedule.isTopologyDue(), true);
+    assert.deepEqual([1, 2, 3, 4].map(() => schedule.getDelay()), [5000, 15000, 45000, 5 * MINUTE]);
+  });
+
+  it('polls less often while nothing changes', () => {
+    const schedule = createSchedule();
+    const delays = [];
+    for (let i = 0; i < 7; i++) {
+      schedule.recordPoll({ changed: false });
+      delays.push(schedule.getDelay() / MINUTE);
+    }
+
+    assert.deepEqual(delays, [5, 5, 10, 10, 10, 20, 20]);
+
+    schedule.recordPoll({ changed: true });
+    assert.equal(schedule.getDelay(), 5 * MINUTE);
+  });
+
+  it('backs off while rate limited', () => {
+    const schedule = createSchedule();
+    schedule.speedUp();
+    const delays = [1, 2, 3, 4].map(() => {
+      schedule.recordPoll({ rateLimited: true });
+      return schedule.getDelay() / MINUTE;
+    });
+
+    assert.deepEqual(delays, [10, 20, 40, 40]);
+    assert.equal(schedule.maxDelay, 40 * MINUTE);
+
+    schedule.recordPoll({ changed: true });
+    assert.equal(schedule.getDelay(), 5 * MINUTE);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const RequestBudget = require('../src/request-budget');
+const { NetatmoRateLimitError } = require('../src/errors');
+
+describe('RequestBudget', () => {
+  it('lets requests through while within the limits', async () => {
+    const budget = new RequestBudget([{ count: 3, window: 1000 }]);
+    await budget.acquire();
+    await budget.acquire();
+    await budget.acquire();
+    assert.equal(budget.requests.length, 3);
+  });
+
+  it('delays requests until the window has room again', async () => {
+    const budget = new RequestBudget([{ count: 1, window: 50 }]);
+    await budget.acquire();
+
+    const start = Date.now();
+    await budget.acquire();
+    assert.ok(Date.now() - start >= 40);
+  });
+
+  it('fails right away when the wait would be too long', async () => {
+    const budget = new RequestBudget([{ count: 1, window: 60 * 60 * 1000 }]);
+    await budget.acquire();
+
+    await assert.rejects(budget.acquire(), NetatmoRateLimitError);
+  });
+
+  it('fails while paused by a rate limit of Netatmo', async () => {
+    const budget = new RequestBudget([{ count: 10, window: 1000 }]);
+    budget.pause(60 * 1000);
+
+    await assert.rejects(budget.acquire(), (error) => {
+      assert.ok(error instanceof NetatmoRateLimitError);
+      assert.ok(error.retryAfter > 0);
+      return true;
+    });
+  });
+});
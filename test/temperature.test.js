@@ -0,0 +1,58 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const TemperatureScale = require('../src/temperature');
+
+describe('TemperatureScale', () => {
+  it('defaults to degrees Celsius in half degrees', () => {
+    const scale = new TemperatureScale();
+    assert.equal(scale.unit, 'degree celsius');
+    assert.equal(scale.symbol, '°C');
+    assert.equal(scale.step, 0.5);
+    assert.equal(scale.toDisplay(20.54), 20.5);
+    assert.equal(scale.fromDisplay(20.3), 20.5);
+  });
+
+  it('converts between Fahrenheit and the half degrees Celsius of Netatmo', () => {
+    const scale = new TemperatureScale('fahrenheit');
+    assert.equal(scale.unit, 'degree fahrenheit');
+    assert.equal(scale.step, 1);
+    assert.equal(scale.toDisplay(21), 69.8);
+    assert.equal(scale.fromDisplay(70), 21);
+    assert.equal(scale.fromDisplay(71), 21.5);
+  });
+
+  it('keeps values that are not numbers', () => {
+    const scale = new TemperatureScale('fahrenheit');
+    assert.equal(scale.toDisplay(undefined), undefined);
+    assert.equal(scale.toDisplayStep(undefined), undefined);
+  });
+
+  it('shows setpoints in whole steps', () => {
+    assert.equal(new TemperatureScale('fahrenheit').toDisplayStep(21), 70);
+    assert.equal(new TemperatureScale('celsius').toDisplayStep(20.5), 20.5);
+    assert.equal(new TemperatureScale('celsius', 1).toDisplayStep(20.5), 21);
+  });
+
+  it('clamps to the range Netatmo accepts', () => {
+    const scale = new TemperatureScale();
+    assert.equal(scale.fromDisplay(5), 7);
+    assert.equal(scale.fromDisplay(35), 30);
+  });
+
+  it('narrows limits to the Netatmo range and whole steps', () => {
+    assert.deepEqual(new TemperatureScale().getLimits(), { minimum: 7, maximum: 30 });
+    assert.deepEqual(new TemperatureScale().getLimits(16.2, 24.8), { minimum: 16.5, maximum: 24.5 });
+    assert.deepEqual(new TemperatureScale('fahrenheit').getLimits(), { minimum: 45, maximum: 86 });
+    assert.deepEqual(new TemperatureScale('fahrenheit').getLimits(60, 100), { minimum: 60, maximum: 86 });
+    assert.deepEqual(new TemperatureScale('celsius', 0.1).getLimits(), { minimum: 7, maximum: 30 });
+  });
+});
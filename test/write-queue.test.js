@@ -0,0 +1,105 @@
+/**
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const WriteQueue = require('../src/write-queue');
+
+function createQueue(values = { targetTemperature: 20 }) {
+  const changes = [];
+  const queue = new WriteQueue({
+    delay: 5,
+    getValue: (name) => values[name],
+    setValue: (name, value) => {
+      values[name] = value;
+    },
+    onChange: () => changes.push(queue.pending),
+  });
+
+  return { queue, values, changes };
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('WriteQueue', () => {
+  it('shows a value right away and only sends the last one of a burst', async () => {
+    const { queue, values } = createQueue();
+    const sent = [];
+    const write = (value) => () => {
+      sent.push(value);
+      return Promise.resolve();
+    };
+
+    const results = [21, 22, 23].map((value) => queue.queue('targetTemperature', value, write(value)));
+    assert.equal(values.targetTemperature, 23);
+    assert.ok(queue.isPending('targetTemperature'));
+
+    assert.deepEqual(await Promise.all(results), [23, 23, 23]);
+    assert.deepEqual(sent, [23]);
+    assert.equal(queue.isPending('targetTemperature'), false);
+  });
+
+  it('sends the next values only after a slow send finished', async () => {
+    const { queue, values } = createQueue();
+    const sent = [];
+
+    const first = queue.queue('targetTemperature', 21, async () => {
+      await wait(30);
+      sent.push(21);
+    });
+    await wait(10);
+    const second = queue.queue('targetTemperature', 23, async () => {
+      sent.push(23);
+    });
+
+    await Promise.all([first, second]);
+    assert.deepEqual(sent, [21, 23]);
+    assert.equal(values.targetTemperature, 23);
+  });
+
+  it('restores the previous value when sending fails', async () => {
+    const { queue, values } = createQueue();
+    const error = new Error('Invalid temperature');
+
+    const result = queue.queue('targetTemperature', 25, () => Promise.reject(error));
+    assert.equal(values.targetTemperature, 25);
+
+    await assert.rejects(result, error);
+    assert.equal(values.targetTemperature, 20);
+    assert.equal(queue.pending, false);
+  });
+
+  it('keeps a newer value when an earlier send fails', async () => {
+    const { queue, values } = createQueue();
+
+    const first = queue.queue('targetTemperature', 21, async () => {
+      await wait(30);
+      throw new Error('Failed');
+    });
+    await wait(10);
+    const second = queue.queue('targetTemperature', 23, () => Promise.resolve());
+
+    await assert.rejects(first);
+    assert.equal(values.targetTemperature, 23);
+    assert.equal(await second, 23);
+  });
+
+  it('stays pending until a status update confirms the value', async () => {
+    const { queue, changes } = createQueue();
+
+    await queue.queue('targetTemperature', 22, () => Promise.resolve());
+    assert.equal(queue.pending, true);
+
+    queue.confirm('targetTemperature');
+    assert.equal(queue.pending, false);
+    assert.deepEqual(changes, [true, true, false]);
+  });
+});